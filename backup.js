@@ -9,33 +9,115 @@ Features:
     - Incremental backups
     - Proper error reporting – disk full, permissions problem, wrong disk, …
     - Test mode that shows what exactly will be done and why – rather than performing the actual backup
-    - Sends backup summary to you (configurable email address)
+    - Sends a run report (HTML and text, with the log of its jobs attached) through SMTP, sendmail or Gmail, and to a webhook, after every run or only on problems
     - Exclude config option to exclude individual files or patterns
+    - Snapshot mode that keeps dated generations, hard-linking unchanged files, with a retention policy
+    - Mirror mode that deletes files removed from the source, or moves them to a dated attic folder
+    - Restore command to copy files back from the backup disk
+    - Compare files by modification date, size or content checksum (SHA-256)
+    - Catalog of backed up files on the disk, so the destination is not scanned on every run
+    - Verify command that checks the backup disk for missing, extra, truncated and corrupted files
+    - Optional AES-256-GCM encryption of file contents and names, with a scrypt derived key
+    - Archive format that writes changed files into a compressed tar.gz per run, plus an index
+    - Repository format that stores deduplicated, content-defined chunks, so unchanged data is never stored twice
+    - Multiple named backup jobs in one config, run in order with a combined summary mail
+    - Gitignore-style include/exclude rules, also read from .backupignore files inside the source
+    - Size, age and file type filters, the reason for every skipped file is shown in test mode
+    - Disks carry a signature with an id, label and job, with optional rotation sets and protection against foreign disks
+    - Free space check before copying, aborting cleanly or backing up the most recent changes that fit
+    - Crash-safe copies through a temporary file, and a run journal to resume an interrupted backup
+    - Streaming copies in parallel with a live progress line (files, bytes, throughput, ETA) and an optional rate limit
+    - Keeps symbolic links, permissions, ownership (when running as root), empty folders and hard links
+    - Files that can't be read or written are retried or skipped and listed at the end, instead of aborting the run
+    - Daemon mode with a schedule per job, catching up missed runs, and a lock file against overlapping runs
+    - Status command listing new, modified, deleted and backup-only files, as a table or as JSON for scripts
+    - Usable as a library: a BackupJob with plan(), run() and restore() promises and file, progress, skip, error and done events
+    - Config commands to show, get, set and validate settings; the config is checked field by field on load and upgraded from older versions
+    - Passwords and passphrases can come from environment variables, a credentials file or a command like pass instead of the config
 
 Usage:
     npm install
     node backup.js
 
+Commands:
+    node backup.js: Run the backup
+    node backup.js restore <path or glob>: Restore files matching a path relative to backupSource (supports *, ** and ?)
+    node backup.js list [path or glob]: List the files on the backup disk
+    node backup.js verify: Check the backup against its catalog (or against the source without one), exits with 2 on problems
+    node backup.js status: Show the files that differ between source and backup, exits with 4 when changes are pending (diff does the same)
+    node backup.js daemon: Keep running and start every job with a schedule when it is due
+    node backup.js config [show|get|set|validate] [setting] [value]: Show, read, change or check the config, e.g. 'config set testMode Y --job photos'
+
 Arguments:
-    --backupSource: Source folder to backup
+    --name: Name of the backup job
+    --backupSource: Source folder to backup, separate several folders with a comma
     --backupDestination: Where to save the backup. A disk root is assumed
-    --backupDate: Files modified before this date will be ignored
-    --exclude: Exclude files by name. Has limited regex support with global flag set by default
+    --rotationDisks: Labels of the disks this job rotates between, separated by a comma (blank accepts any disk of the job)
+    --foreignDiskAction: What to do when a disk of another job or outside the rotation set is attached: 'warn' or 'block'
+    --spaceShortageAction: When the changes don't fit on the disk: 'abort' the run, or 'partial' to back up the most
+        recently modified files that fit
+    --copyConcurrency: Number of files copied, and of file system calls while scanning, at the same time (defaults to 2)
+    --rateLimit: Max. bytes per second read from the source, e.g. '20M' (blank for no limit)
+    --schedule: How often the daemon runs the job, e.g. '6h' or '1d@02:00' to run every night at 2 (blank to only run it by hand)
+    --waitForDisk: Let the daemon wait until a disk of the job is attached before running it (Y/N)
+    --backupDate: Files modified before this date will be ignored. Also takes a relative age like '30d',
+        or 'last' for files changed since the last successful run on the backup disk
+    --maxFileSize: Skip files larger than this, e.g. '4G' (K, M, G and T are supported, blank for no limit)
+    --minFileAge: Skip files modified less than this long ago, e.g. '10m' (s, m, h, d and w are supported)
+    --exclude: Exclude files by name. Has limited regex support
+    --filterRules: Gitignore-style rules separated by a comma, e.g. 'node_modules/,/dist,*.tmp,!keep.tmp'
+    --destinationFormat: 'files' to keep a plain copy, 'archive' to write a tar.gz of changed files per run,
+        'repository' to store deduplicated chunks
+    --compareMode: How to detect changed files: 'mtime', 'size+mtime' or 'checksum' (defaults to mtime)
     --testMode: Don't copy anything, just print a preview (Y/N)
+    --encryptionMode: Encrypt backed up files with a passphrase (Y/N)
+    --encryptFileNames: Also encrypt file and folder names (Y/N), names longer than about 160 bytes are skipped and reported
+    --encryptionPassphrase: Passphrase, or env:NAME, file:PATH or cmd:COMMAND to read it from there (leave blank to use
+        BACKUPJS_PASSPHRASE or a key file)
+    --encryptionKeyFile: File containing the passphrase, only readable by its owner (chmod 600)
+    --snapshotMode: Create a dated snapshot on every run instead of overwriting a single copy (Y/N)
+    --retainDaily: Number of daily snapshots to keep (snapshot mode only, blank keeps all)
+    --retainWeekly: Number of weekly snapshots to keep (snapshot mode only, blank keeps all)
+    --retainMonthly: Number of monthly snapshots to keep (snapshot mode only, blank keeps all)
+    --mirrorMode: Handle files that no longer exist on the source (Y/N, ignored in snapshot mode)
+    --mirrorAction: What to do with those files: 'attic' (move to a dated attic folder) or 'delete'
+    --atticExpiryDays: Remove attic folders older than this many days (blank keeps all)
     --sendMailSummary: Send a summary of the backup by mail (Y/N)
     --logMailReceiver: Address to receive the backup summary
-    --logMailSender: Address used to send the backup summary (only Gmail is supported right now)
-    --logMailSenderPassword: Password for the sending address
+    --logMailSender: Address used to send the backup summary (blank to use the receiving address)
+    --mailTransport: How to send the mail: 'smtp', 'sendmail' or 'gmail'
+    --smtpHost: SMTP server to send the mail through
+    --smtpPort: Port of the SMTP server (defaults to 587, or 465 with TLS)
+    --smtpSecurity: 'starttls' to require STARTTLS, 'tls' for a TLS connection or 'none' (defaults to starttls)
+    --smtpUser: User name to log in to the SMTP server (blank to send without logging in)
+    --logMailSenderPassword: Password for the SMTP user or the Gmail address, or env:NAME, file:PATH or cmd:COMMAND to read
+        it from there (leave blank to use BACKUPJS_MAIL_PASSWORD)
+    --sendmailPath: Path of the sendmail binary (defaults to /usr/sbin/sendmail)
+    --webhookUrl: URL to post a JSON summary to after every run
+    --notifyOn: 'always' to send the mail and webhook after every run, or 'problems' for failures and warnings only
     --force-erase: Don't ask before erasing a non-empty backup destination
     --reset-config: Remove the existing config in order to generate a new one
+    --config: Path of the config file (defaults to $XDG_CONFIG_HOME/backup.js/config.json, or ./config.json when only that exists)
+    --job: Only run the job with this name (all jobs run in order by default)
+    --add-job: Interactively add a new job to the existing config
+    --edit-job: Interactively edit the job with this name
+    --key-file: File containing the encryption passphrase, overrides the config (chmod 600)
+    --rebuild-catalog: Scan the backup disk and rebuild its catalog, use when the catalog and the disk disagree
+    --restore-target: Restore to this folder instead of the original backupSource location
+    --snapshot: Snapshot or repository run to list, restore from or verify (defaults to the latest)
+    --force-overwrite: Overwrite local files that are newer than the backup when restoring
+    --disk-label: Label for a new backup disk (defaults to the job name and part of the disk id)
+    --register-disk: Claim the attached disk for the job and add it to the rotation set, combine with --disk-label to relabel it
+    --resume: Continue an interrupted backup from its run journal instead of scanning the source again
+    --format: Output of the status command: 'table', or 'json' / 'ndjson' for scripts (the log then goes to stderr)
 
 Example:
     node backup.js --backupSource=testFiles --backupDestination=testDisk --backupDate=11/11/2014 --testMode=Y --sendMailSummary=N --force-erase
 
 */
-var userid = require('userid');
 var promise = require('bluebird');
 var fs = promise.promisifyAll(require("fs-extra"));
+var nodeFs = require('fs'); //fs-extra 0.14 has no constants
 var prompt = promise.promisifyAll(require('prompt'));
 var extfs = require('extfs');
 var path = require('path');
@@ -43,17 +125,215 @@ var argv = require('minimist')(process.argv.slice(2)); //command line arguments
 var winston = require('winston');
 var util = require('util');
 var nodemailer = require('nodemailer');
+var crypto = require('crypto');
+var os = require('os');
+var tar = require('tar');
+var zlib = require('zlib');
+var stream = require('stream');
+var events = require('events');
+var childProcess = require('child_process');
+var http = require('http');
+var https = require('https');
+var url = require('url');
 // config
 var logger;
 var logMessages = [];
-var CONFIG_FILE = './config.json';
+var LEGACY_CONFIG_FILE = './config.json';
+var CONFIG_VERSION = 2;
+var SECRET_SETTINGS = ['encryptionPassphrase', 'logMailSenderPassword'];
+var SECRET_REFERENCE = /^(env|file|cmd):(.+)$/;
+var SECRET_COMMAND_TIMEOUT = 30 * 1000;
+var CONFIG_FILE_MODE = parseInt('600', 8);
 var LOG_PREFIX = 'backup-js';
 var DISK_SIGNATURE_FILE = 'backupjs.signature';
+var SIGNATURE_VERSION = 1;
+var CATALOG_FILE = 'backupjs.catalog';
+var CATALOG_VERSION = 1;
+var ENCRYPTION_FILE = 'backupjs.encryption';
+var ENCRYPTION_VERSION = 1;
+var ENCRYPTION_CIPHER = 'aes-256-gcm';
+var ENCRYPTION_MAGIC = Buffer.from('BJE1');
+var ENCRYPTION_IV_LENGTH = 12;
+var ENCRYPTION_TAG_LENGTH = 16;
+var ENCRYPTION_OVERHEAD = ENCRYPTION_MAGIC.length + ENCRYPTION_IV_LENGTH + ENCRYPTION_TAG_LENGTH;
+var ENCRYPTION_PASSPHRASE_ENV = 'BACKUPJS_PASSPHRASE';
+var MAIL_PASSWORD_ENV = 'BACKUPJS_MAIL_PASSWORD';
+var SCRYPT_PARAMS = {
+    N: 32768,
+    r: 8,
+    p: 1
+};
+var SNAPSHOT_DIR = 'snapshots';
+var SNAPSHOT_PARTIAL_SUFFIX = '.partial';
+var ARCHIVE_EOF_SIZE = 1024; //two empty blocks end a tar archive
+var SNAPSHOT_NAME_REGEX = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+var ATTIC_DIR = 'attic';
+var ARCHIVE_DIR = 'archives';
+var ARCHIVE_EXTENSION = '.tar.gz';
+var ARCHIVE_INDEX_EXTENSION = '.index.json';
+var REPOSITORY_DIR = 'repository';
+var MANIFEST_VERSION = 1;
+var CHUNK_MIN_SIZE = 256 * 1024;
+var CHUNK_MAX_SIZE = 4 * 1024 * 1024;
+var CHUNK_MASK = (1 << 20) - 1; //boundary every 1MB on average
+var GEAR_TABLE = [];
+var CHECKSUM_ALGORITHM = 'sha256';
+var CHECKSUM_BUFFER_SIZE = 1024 * 1024;
+var IGNORE_FILE = '.backupignore';
+var STATE_FILE = 'backupjs.state';
+var RUN_JOURNAL_FILE = 'backupjs.journal';
+var RUN_JOURNAL_VERSION = 1;
+var STATUS_FORMAT_VERSION = 1;
+var TEMP_SUFFIX = '.backupjs-tmp';
+var DEFAULT_COPY_CONCURRENCY = 2;
+var PROGRESS_INTERVAL = 1000;
+var MODE_MASK = parseInt('7777', 8); //permission, setuid, setgid and sticky bits
+var MAX_NAME_LENGTH = 255; //NAME_MAX of common file systems
+var FOLDER_WRITE_MODE = parseInt('700', 8); //backup folders stay writable for the backup user
+var FILE_WRITE_MODE = parseInt('600', 8); //backup files stay readable and writable for the backup user
+var FILE_RETRY_COUNT = 3;
+var FILE_RETRY_DELAY = 1000;
+var LOCK_FILE = 'backupjs.lock';
+var LOCK_HEARTBEAT_INTERVAL = 60 * 1000;
+var STALE_LOCK_AGE = 10 * 60 * 1000; //a lock not refreshed for this long belongs to a crashed process
+var DAEMON_STATE_FILE = './backupjs-daemon.state';
+var DAEMON_CHECK_INTERVAL = 60 * 1000;
+var DAEMON_RETRY_DELAY = 15 * 60 * 1000;
+var DEFAULT_SENDMAIL_PATH = '/usr/sbin/sendmail';
+var NOTIFICATION_TIMEOUT = 30 * 1000;
+var FREE_SPACE_RESERVE = 16 * 1024 * 1024; //room for the catalog, journal and file system overhead
+var LAST_RUN_DATE = 'last';
+var SIZE_UNITS = {
+    K: 1024,
+    M: 1024 * 1024,
+    G: 1024 * 1024 * 1024,
+    T: 1024 * 1024 * 1024 * 1024
+};
+var DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
 var backupReasons = {
     DEST_FILE_NOT_FOUND: 'Destination file not found',
-    SRC_FILE_NEWER: 'Source file is newer than destination file'
+    SRC_FILE_NEWER: 'Source file is newer than destination file',
+    SRC_FILE_NOT_FOUND: 'Source file not found',
+    SIZE_DIFFERS: 'Source file size differs from destination file',
+    CONTENT_DIFFERS: 'Source file content differs from destination file',
+    LINK_TARGET_DIFFERS: 'Symbolic link target differs from destination',
+    METADATA_DIFFERS: 'Permissions or ownership differ from destination file'
+};
+var skipReasons = {
+    SPECIAL_FILE: 'Socket, FIFO or device file',
+    FILTER_RULE: 'Excluded by a filter rule',
+    BEFORE_MIN_DATE: 'Modified before the minimum date',
+    TOO_LARGE: 'Larger than the maximum file size',
+    TOO_RECENT: 'Modified more recently than the minimum file age',
+    EXCLUDE_REGEX: 'Name matches the exclude regex',
+    NAME_TOO_LONG: 'Name too long once encrypted',
+    NO_SPACE: 'Not enough free space on the backup disk'
+};
+var compareModes = {
+    MTIME: 'mtime',
+    SIZE_MTIME: 'size+mtime',
+    CHECKSUM: 'checksum'
+};
+var restoreReasons = {
+    TARGET_FILE_NOT_FOUND: 'Target file not found',
+    BACKUP_FILE_NEWER: 'Backup file is newer than target file',
+    TARGET_FILE_NEWER: 'Target file is newer than backup file (forced)'
+};
+var commands = {
+    BACKUP: 'backup',
+    RESTORE: 'restore',
+    LIST: 'list',
+    VERIFY: 'verify',
+    CONFIG: 'config',
+    STATUS: 'status',
+    DIFF: 'diff',
+    DAEMON: 'daemon'
+};
+var fileStatuses = {
+    NEW: 'new',
+    MODIFIED: 'modified',
+    DELETED: 'deleted',
+    BACKUP_ONLY: 'backup-only'
+};
+var outputFormats = {
+    TABLE: 'table',
+    JSON: 'json',
+    NDJSON: 'ndjson'
+};
+var verifyResults = {
+    MISSING: 'Missing',
+    EXTRA: 'Extra',
+    TRUNCATED: 'Truncated',
+    CORRUPTED: 'Corrupted'
+};
+var exitCodes = {
+    FAILED: 1,
+    VERIFY_FAILED: 2,
+    PARTIAL_SUCCESS: 3,
+    CHANGES_PENDING: 4
+};
+var failureTypes = {
+    PERMISSION: 'Permission denied',
+    MISSING: 'File vanished',
+    IO: 'I/O error',
+    NO_SPACE: 'No space left on the backup disk',
+    NAME_TOO_LONG: 'Name too long',
+    OTHER: 'Other error'
+};
+var destinationFormats = {
+    FILES: 'files',
+    ARCHIVE: 'archive',
+    REPOSITORY: 'repository'
+};
+var mirrorActions = {
+    ATTIC: 'attic',
+    DELETE: 'delete'
+};
+var spaceShortageActions = {
+    ABORT: 'abort',
+    PARTIAL: 'partial'
+};
+var mailTransports = {
+    SMTP: 'smtp',
+    SENDMAIL: 'sendmail',
+    GMAIL: 'gmail',
+    DIRECT: 'direct'
+};
+var smtpSecurityModes = {
+    STARTTLS: 'starttls',
+    TLS: 'tls',
+    NONE: 'none'
+};
+var notifyModes = {
+    ALWAYS: 'always',
+    PROBLEMS: 'problems'
+};
+var runStatuses = {
+    SUCCESS: 'success',
+    WARNING: 'warning',
+    FAILURE: 'failure'
+};
+var foreignDiskActions = {
+    WARN: 'warn',
+    BLOCK: 'block'
 };
 var config;
+var catalog;
+var encryption;
+var runJournal;
+var runFailures = [];
+var runStats;
+var diskLock;
+var logFilePath;
+var activeJob;
+var runningFromCli = false;
+var YES_NO_OPTIONS = ['testMode', 'snapshotMode', 'mirrorMode', 'encryptionMode', 'encryptFileNames', 'sendMailSummary', 'waitForDisk'];
 
 function initLogging()
 {
@@ -62,6 +342,29 @@ function initLogging()
     initCustomLogger();
 }
 
+function initLibraryLogging()
+{
+    logger = new(winston.Logger)(
+    {});
+    var eventLogger = winston.transports.eventLogger = function(options)
+    {
+        this.name = 'eventLogger';
+        this.level = 'info';
+    };
+    util.inherits(eventLogger, winston.Transport);
+    eventLogger.prototype.log = function(level, msg, meta, callback)
+    {
+        emitJobEvent('log',
+        {
+            level: level,
+            message: msg
+        });
+        callback(null, true);
+    };
+    logger.add(eventLogger);
+    initCustomLogger();
+}
+
 function initMainLogger()
 {
     logger = new(winston.Logger)(
@@ -74,7 +377,9 @@ function initMainLogger()
     util.inherits(consoleLogger, winston.Transport);
     consoleLogger.prototype.log = function(level, msg, meta, callback)
     {
-        console.log(msg);
+        // machine readable output keeps stdout to itself
+        if (machineOutputEnabled()) console.error(msg);
+        else console.log(msg);
         callback(null, true);
     };
     logger.add(consoleLogger);
@@ -90,7 +395,18 @@ function initFileLogger()
         {
             filename: logFileName
         });
+        logFilePath = logFileName;
+    }
+}
+
+function restartFileLogger()
+{
+    if (logFilePath !== undefined)
+    {
+        logger.remove(winston.transports.File);
+        logFilePath = undefined;
     }
+    initFileLogger();
 }
 
 function initCustomLogger()
@@ -129,9 +445,16 @@ function logFileIsWriteable(logFile)
 
 function clearConsole()
 {
+    if (machineOutputEnabled()) return;
     console.log('\033[2J');
 }
 
+function machineOutputEnabled()
+{
+    if (getCommand() === commands.CONFIG) return true;
+    return argv.format !== undefined && String(argv.format).toLowerCase() !== outputFormats.TABLE;
+}
+
 function showWelcome()
 {
     clearConsole();
@@ -151,7 +474,15 @@ function runningAsRoot()
 
 function attemptRunAsBackupUser()
 {
-    var backupUid = userid.uid('backup');
+    var backupUid;
+    try
+    {
+        backupUid = require('userid').uid('backup'); //native module, only loaded when running as root
+    }
+    catch (err)
+    {
+        return false;
+    }
     if (backupUid !== undefined)
     {
         try
@@ -188,7 +519,22 @@ function tryDropPrivilegesIfRoot()
 
 function configFileExists()
 {
-    return fs.existsSync(CONFIG_FILE);
+    return fs.existsSync(getConfigPath());
+}
+
+function getConfigPath()
+{
+    if (argv.config !== undefined)
+    {
+        return String(argv.config);
+    }
+    var configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    var configPath = path.join(configHome, 'backup.js', 'config.json');
+    if (fs.existsSync(configPath) === false && fs.existsSync(LEGACY_CONFIG_FILE))
+    {
+        return LEGACY_CONFIG_FILE; //configs from before the XDG location stay where they are
+    }
+    return configPath;
 }
 
 function generateConfigIfNotExists()
@@ -197,7 +543,7 @@ function generateConfigIfNotExists()
     {
         if (configFileExists())
         {
-            logger.info('Config file found');
+            logger.info('Config file found: ' + getConfigPath());
             if (argv['reset-config'] === true)
             {
                 logger.info('Warning: existing config will be reset!');
@@ -209,7 +555,20 @@ function generateConfigIfNotExists()
                 catch (function(err)
                 {
                     logger.info('Config generation error');
-                    logger.info(err);
+                    reject(err);
+                });
+            }
+            else if (argv['add-job'] === true || argv['edit-job'] !== undefined)
+            {
+                generateJobConfig(argv['edit-job']).
+                then(function()
+                {
+                    resolve();
+                }).
+                catch (function(err)
+                {
+                    logger.info('Config generation error');
+                    reject(err);
                 });
             }
             else
@@ -228,7 +587,7 @@ function generateConfigIfNotExists()
             catch (function(err)
             {
                 logger.info('Config generation error');
-                logger.info(err);
+                reject(err);
             });
         }
     });
@@ -239,10 +598,63 @@ function generateNewConfig()
     return promptForConfig().
     then(function(result)
     {
-        var prettyJson = JSON.stringify(result, undefined, 2);
-        fs.writeFileSync(CONFIG_FILE, prettyJson);
-    }).
-    catch (function(err)
+        writeConfig(
+        {
+            jobs: [result]
+        });
+    });
+}
+
+function generateJobConfig(jobName)
+{
+    var savedConfig = readConfigFile(); //unvalidated, so a broken job can be fixed here
+    var jobIndex = -1;
+    if (jobName !== undefined)
+    {
+        jobIndex = findJobIndex(savedConfig.jobs, String(jobName));
+        if (jobIndex === -1)
+        {
+            return promise.reject('Error: job ' + jobName + ' not found');
+        }
+        logger.info('Editing job ' + jobName);
+    }
+    else
+    {
+        logger.info('Adding a new job');
+    }
+    return promptForConfig(savedConfig.jobs[jobIndex]).
+    then(function(result)
+    {
+        var existingIndex = findJobIndex(savedConfig.jobs, result.name);
+        if (existingIndex !== -1 && existingIndex !== jobIndex)
+        {
+            throw ('Error: a job named ' + result.name + ' already exists');
+        }
+        if (jobIndex === -1) savedConfig.jobs.push(result);
+        else savedConfig.jobs[jobIndex] = result;
+        writeConfig(savedConfig);
+    });
+}
+
+function writeConfig(newConfig)
+{
+    var versionedConfig = {
+        configVersion: CONFIG_VERSION
+    };
+    for (var key in newConfig)
+    {
+        if (key !== 'configVersion') versionedConfig[key] = newConfig[key];
+    }
+    try
+    {
+        fs.mkdirsSync(path.dirname(getConfigPath()));
+        fs.writeFileSync(getConfigPath(), JSON.stringify(versionedConfig, undefined, 2),
+        {
+            mode: CONFIG_FILE_MODE
+        });
+        if (getInlineSecrets(versionedConfig).length > 0) fs.chmodSync(getConfigPath(), CONFIG_FILE_MODE);
+    }
+    catch (err)
     {
         if (err.code === 'EACCES')
         {
@@ -252,11 +664,13 @@ function generateNewConfig()
         {
             throw (err);
         }
-    });
+    }
 }
 
-function promptForConfig()
+function promptForConfig(defaults)
 {
+    defaults = defaults ||
+    {};
     var validLocationCheck = function(input)
     {
         if (checkValidLocation(input) === false)
@@ -272,13 +686,24 @@ function promptForConfig()
     var backupConfigScheme = {
         properties:
         {
+            name:
+            {
+                description: 'Enter a name for this backup job:',
+                default: 'default',
+                pattern: /^[\w.-]+$/,
+                message: 'Please use letters, digits, \'.\', \'-\' and \'_\' only',
+                required: true
+            },
             backupSource:
             {
-                description: 'Enter the backup source location:',
+                description: 'Enter the backup source location (separate several with a comma):',
                 required: true,
                 conform: function(input)
                 {
-                    return validLocationCheck(input);
+                    return String(input).split(',').every(function(source)
+                    {
+                        return validLocationCheck(source.trim());
+                    });
                 }
             },
             backupDestination:
@@ -290,13 +715,88 @@ function promptForConfig()
                     return validLocationCheck(input);
                 }
             },
+            rotationDisks:
+            {
+                description: 'Enter the labels of the disks to rotate between, separated by a comma (leave blank to accept any disk of this job):',
+                required: false
+            },
+            foreignDiskAction:
+            {
+                description: 'Warn or block when a disk of another job is attached? [warn/block]',
+                default: foreignDiskActions.WARN,
+                pattern: /^(warn|block)$/i,
+                message: 'Please enter \'warn\' or \'block\'',
+                required: true
+            },
+            spaceShortageAction:
+            {
+                description: 'Abort or back up what fits when the disk is too small? [abort/partial]',
+                default: spaceShortageActions.ABORT,
+                pattern: /^(abort|partial)$/i,
+                message: 'Please enter \'abort\' or \'partial\'',
+                required: true
+            },
+            copyConcurrency:
+            {
+                description: 'Enter the number of files to copy at the same time:',
+                default: DEFAULT_COPY_CONCURRENCY,
+                pattern: /^[1-9]\d*$/,
+                message: 'Please enter a number',
+                required: true
+            },
+            rateLimit:
+            {
+                description: 'Enter the max. bytes per second to read, e.g. 20M (leave blank for no limit):',
+                conform: function(input)
+                {
+                    return input.length < 1 || isNaN(parseSize(input)) === false;
+                },
+                required: false
+            },
+            schedule:
+            {
+                description: 'Enter how often the daemon runs this job, e.g. 1d or 1d@02:00 (leave blank to only run it by hand):',
+                conform: function(input)
+                {
+                    return input.length < 1 || parseSchedule(input) !== undefined;
+                },
+                required: false
+            },
+            waitForDisk:
+            {
+                description: 'Should the daemon wait for a disk of this job to be attached before running it? [y/N]',
+                default: 'N',
+                pattern: /[YN]/i,
+                message: 'Please enter \'Y\' or \'N\'',
+                required: true,
+            },
             backupDate:
             {
-                description: 'Enter the max. file date (leave blank to include all):',
+                description: 'Enter the max. file date, an age like 30d or \'last\' for the last successful run (leave blank to include all):',
                 conform: function(input)
                 {
                     if (input.length < 1) return true; //can be blank
-                    else return (isNaN(Date.parse(input)) === false);
+                    if (input === LAST_RUN_DATE) return true;
+                    if (isNaN(parseDuration(input)) === false) return true;
+                    return (isNaN(Date.parse(input)) === false);
+                },
+                required: false
+            },
+            maxFileSize:
+            {
+                description: 'Enter the max. file size, e.g. 4G (leave blank for no limit):',
+                conform: function(input)
+                {
+                    return input.length < 1 || isNaN(parseSize(input)) === false;
+                },
+                required: false
+            },
+            minFileAge:
+            {
+                description: 'Enter the min. file age, e.g. 10m (leave blank to include all):',
+                conform: function(input)
+                {
+                    return input.length < 1 || isNaN(parseDuration(input)) === false;
                 },
                 required: false
             },
@@ -317,6 +817,27 @@ function promptForConfig()
                 },
                 required: false
             },
+            filterRules:
+            {
+                description: 'Enter gitignore-style rules separated by a comma, prefix with ! to include (leave blank to include all):',
+                required: false
+            },
+            destinationFormat:
+            {
+                description: 'Store the backup as plain files, compressed archives or a deduplicating repository? [files/archive/repository]',
+                default: destinationFormats.FILES,
+                pattern: /^(files|archive|repository)$/i,
+                message: 'Please enter \'files\', \'archive\' or \'repository\'',
+                required: true
+            },
+            compareMode:
+            {
+                description: 'How should changed files be detected? [mtime/size+mtime/checksum]',
+                default: compareModes.MTIME,
+                pattern: /^(mtime|size\+mtime|checksum)$/i,
+                message: 'Please enter \'mtime\', \'size+mtime\' or \'checksum\'',
+                required: true
+            },
             testMode:
             {
                 description: 'Do you want to run in test mode? Backup will be calculated but not performed [y/N]',
@@ -325,6 +846,30 @@ function promptForConfig()
                 message: 'Please enter \'Y\' or \'N\'',
                 required: true,
             },
+            snapshotMode:
+            {
+                description: 'Do you want to keep dated snapshots of every backup? [y/N]',
+                default: 'N',
+                pattern: /[YN]/i,
+                message: 'Please enter \'Y\' or \'N\'',
+                required: true,
+            },
+            encryptionMode:
+            {
+                description: 'Do you want to encrypt the backup with a passphrase? [y/N]',
+                default: 'N',
+                pattern: /[YN]/i,
+                message: 'Please enter \'Y\' or \'N\'',
+                required: true,
+            },
+            mirrorMode:
+            {
+                description: 'Do you want to handle files removed from the source? (ignored in snapshot mode) [y/N]',
+                default: 'N',
+                pattern: /[YN]/i,
+                message: 'Please enter \'Y\' or \'N\'',
+                required: true,
+            },
             sendMailSummary:
             {
                 description: 'Do you want to receive a mail log summary? [Y/n]',
@@ -332,6 +877,100 @@ function promptForConfig()
                 pattern: /[YN]/i,
                 message: 'Please enter \'Y\' or \'N\'',
                 required: true,
+            },
+            webhookUrl:
+            {
+                description: 'Enter a URL to post a JSON summary to (leave blank for none):',
+                pattern: /^(https?:\/\/\S+)?$/i,
+                message: 'Please enter an http:// or https:// URL',
+                required: false
+            },
+            notifyOn:
+            {
+                description: 'Notify after every run or only on failures and warnings? [always/problems]',
+                default: notifyModes.ALWAYS,
+                pattern: /^(always|problems)$/i,
+                message: 'Please enter \'always\' or \'problems\'',
+                required: true
+            }
+        }
+    };
+    var retentionCountCheck = function(input)
+    {
+        return String(input).length < 1 || /^\d+$/.test(String(input)); //can be blank
+    };
+    var retentionConfigScheme = {
+        properties:
+        {
+            retainDaily:
+            {
+                description: 'Enter the number of daily snapshots to keep (leave blank to keep all):',
+                conform: retentionCountCheck,
+                message: 'Please enter a number',
+                required: false
+            },
+            retainWeekly:
+            {
+                description: 'Enter the number of weekly snapshots to keep (leave blank to keep all):',
+                conform: retentionCountCheck,
+                message: 'Please enter a number',
+                required: false
+            },
+            retainMonthly:
+            {
+                description: 'Enter the number of monthly snapshots to keep (leave blank to keep all):',
+                conform: retentionCountCheck,
+                message: 'Please enter a number',
+                required: false
+            }
+        }
+    };
+    var mirrorConfigScheme = {
+        properties:
+        {
+            mirrorAction:
+            {
+                description: 'Move removed files to the attic or delete them? [attic/delete]',
+                default: mirrorActions.ATTIC,
+                pattern: /^(attic|delete)$/i,
+                message: 'Please enter \'attic\' or \'delete\'',
+                required: true
+            },
+            atticExpiryDays:
+            {
+                description: 'Enter the number of days to keep files in the attic (leave blank to keep all):',
+                conform: retentionCountCheck,
+                message: 'Please enter a number',
+                required: false
+            }
+        }
+    };
+    var encryptionConfigScheme = {
+        properties:
+        {
+            encryptionPassphrase:
+            {
+                description: 'Enter the encryption passphrase, or env:NAME, file:PATH or cmd:COMMAND to read it from there (leave blank to use ' + ENCRYPTION_PASSPHRASE_ENV + ' or a key file):',
+                required: false,
+                hidden: true
+            },
+            encryptionKeyFile:
+            {
+                description: 'Enter a file containing the passphrase (leave blank to skip):',
+                conform: function(input)
+                {
+                    if (String(input).length < 1) return true; //can be blank
+                    return validLocationCheck(input);
+                },
+                required: false
+            },
+            encryptFileNames:
+            {
+                description: 'Do you want to encrypt file names as well? [y/N]',
+                default: 'N',
+                pattern: /[YN]/i,
+                message: 'Please enter \'Y\' or \'N\'',
+                required: true
             }
         }
     };
@@ -345,9 +984,59 @@ function promptForConfig()
             },
             logMailSender:
             {
-                description: 'Enter a mail address used to send logs (Gmail only, leave blank for system default):',
+                description: 'Enter a mail address used to send logs (leave blank to use the receiving address):',
+                required: false
+            },
+            mailTransport:
+            {
+                description: 'How should the mail be sent? [smtp/sendmail/gmail]',
+                default: mailTransports.SMTP,
+                pattern: /^(smtp|sendmail|gmail)$/i,
+                message: 'Please enter \'smtp\', \'sendmail\' or \'gmail\'',
+                required: true
+            }
+        }
+    };
+    var smtpConfigScheme = {
+        properties:
+        {
+            smtpHost:
+            {
+                description: 'Enter the SMTP server:',
+                default: 'localhost',
+                required: true
+            },
+            smtpSecurity:
+            {
+                description: 'Connect with STARTTLS, TLS or without encryption? [starttls/tls/none]',
+                default: smtpSecurityModes.STARTTLS,
+                pattern: /^(starttls|tls|none)$/i,
+                message: 'Please enter \'starttls\', \'tls\' or \'none\'',
+                required: true
+            },
+            smtpPort:
+            {
+                description: 'Enter the SMTP port (leave blank for 587, or 465 with TLS):',
+                pattern: /^\d*$/,
+                message: 'Please enter a number',
                 required: false
             },
+            smtpUser:
+            {
+                description: 'Enter the SMTP user name (leave blank to send without logging in):',
+                required: false
+            }
+        }
+    };
+    var sendmailConfigScheme = {
+        properties:
+        {
+            sendmailPath:
+            {
+                description: 'Enter the path of the sendmail binary:',
+                default: DEFAULT_SENDMAIL_PATH,
+                required: true
+            }
         }
     };
     var mailSenderConfigScheme = {
@@ -355,27 +1044,100 @@ function promptForConfig()
         {
             logMailSenderPassword:
             {
-                description: 'Enter the password for this mail address (Gmail only):',
+                description: 'Enter the password to send mail with, or env:NAME, file:PATH or cmd:COMMAND to read it from there (leave blank to keep the current one or use ' + MAIL_PASSWORD_ENV + '):',
                 required: false,
                 hidden: true
             }
         }
     };
     var config;
-    return promptFor(backupConfigScheme).
+    var retentionDefaults = {};
+    if (defaults.retention !== undefined)
+    {
+        retentionDefaults = {
+            retainDaily: defaults.retention.daily,
+            retainWeekly: defaults.retention.weekly,
+            retainMonthly: defaults.retention.monthly
+        };
+    }
+    return promptFor(backupConfigScheme, defaults).
     then(function(result)
     {
+        var sources = String(result.backupSource).split(',').map(function(source)
+        {
+            return source.trim();
+        });
+        result.backupSource = sources.length > 1 ? sources : sources[0];
+        result.filterRules = parseListOption(result.filterRules);
+        result.rotationDisks = parseListOption(result.rotationDisks);
+        var retentionConfig;
+        if (optionEnabled(result.snapshotMode))
+        {
+            retentionConfig = promptFor(retentionConfigScheme, retentionDefaults);
+        }
+        return [result, retentionConfig];
+    }).spread(function(result, retentionConfig)
+    {
+        if (retentionConfig !== undefined)
+        {
+            result.retention = parseRetentionConfig(retentionConfig);
+        }
+        var encryptionConfig;
+        if (optionEnabled(result.encryptionMode))
+        {
+            encryptionConfig = promptFor(encryptionConfigScheme, defaults);
+        }
+        return [result, encryptionConfig];
+    }).spread(function(result, encryptionConfig)
+    {
+        if (encryptionConfig !== undefined)
+        {
+            result.encryptFileNames = encryptionConfig.encryptFileNames;
+            if (String(encryptionConfig.encryptionPassphrase).length > 0) result.encryptionPassphrase = encryptionConfig.encryptionPassphrase;
+            else if (defaults.encryptionPassphrase !== undefined) result.encryptionPassphrase = defaults.encryptionPassphrase; //hidden, keep when editing
+            if (String(encryptionConfig.encryptionKeyFile).length > 0) result.encryptionKeyFile = encryptionConfig.encryptionKeyFile;
+        }
+        var mirrorConfig;
+        if (optionEnabled(result.mirrorMode))
+        {
+            mirrorConfig = promptFor(mirrorConfigScheme, defaults);
+        }
+        return [result, mirrorConfig];
+    }).spread(function(result, mirrorConfig)
+    {
+        if (mirrorConfig !== undefined)
+        {
+            result.mirrorAction = mirrorConfig.mirrorAction.toLowerCase();
+            var expiryDays = parseInt(mirrorConfig.atticExpiryDays, 10);
+            if (isNaN(expiryDays) === false) result.atticExpiryDays = expiryDays;
+        }
+        result.notifyOn = result.notifyOn.toLowerCase();
         var mailConfig;
         if (result.sendMailSummary.toUpperCase() === 'Y')
         {
-            mailConfig = promptFor(mailConfigScheme);
+            mailConfig = promptFor(mailConfigScheme, defaults.mailConfig);
         }
         return [result, mailConfig];
     }).spread(function(result, mailConfig)
+    {
+        var transportConfig;
+        if (mailConfig !== undefined)
+        {
+            mailConfig.mailTransport = mailConfig.mailTransport.toLowerCase();
+            if (mailConfig.mailTransport === mailTransports.SMTP) transportConfig = promptFor(smtpConfigScheme, defaults.mailConfig);
+            if (mailConfig.mailTransport === mailTransports.SENDMAIL) transportConfig = promptFor(sendmailConfigScheme, defaults.mailConfig);
+        }
+        return [result, mailConfig, transportConfig];
+    }).spread(function(result, mailConfig, transportConfig)
     {
         config = result;
         config.mailConfig = mailConfig;
-        if (mailConfig !== undefined && mailConfig.logMailSender.length > 0)
+        if (transportConfig !== undefined)
+        {
+            util._extend(mailConfig, transportConfig);
+            if (mailConfig.smtpSecurity !== undefined) mailConfig.smtpSecurity = mailConfig.smtpSecurity.toLowerCase();
+        }
+        if (mailConfig !== undefined && (mailConfig.mailTransport === mailTransports.GMAIL || String(mailConfig.smtpUser || '').length > 0))
         {
             return promptFor(mailSenderConfigScheme);
         }
@@ -384,13 +1146,43 @@ function promptForConfig()
         if (mailSenderConfig !== undefined)
         {
             config.mailConfig.logMailSenderPassword = mailSenderConfig.logMailSenderPassword;
+            if (config.mailConfig.logMailSenderPassword.length < 1 && defaults.mailConfig !== undefined)
+            {
+                config.mailConfig.logMailSenderPassword = defaults.mailConfig.logMailSenderPassword; //hidden, keep when editing
+            }
         }
         return config;
     });
 }
 
-function promptFor(scheme)
+function parseRetentionConfig(retentionConfig)
+{
+    var retention = {};
+    ['daily', 'weekly', 'monthly'].forEach(function(period)
+    {
+        var key = 'retain' + period.charAt(0).toUpperCase() + period.slice(1);
+        var count = parseInt(retentionConfig[key], 10);
+        if (isNaN(count) === false) retention[period] = count;
+    });
+    return retention;
+}
+
+function optionEnabled(option)
+{
+    return typeof option === 'string' && option.toUpperCase() === 'Y';
+}
+
+function promptFor(scheme, defaults)
 {
+    if (defaults !== undefined)
+    {
+        for (var property in scheme.properties)
+        {
+            var value = defaults[property];
+            if (value === undefined || value === null || scheme.properties[property].hidden === true) continue;
+            scheme.properties[property].default = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    }
     prompt.message = '';
     prompt.delimiter = '';
     prompt.colors = false;
@@ -430,6 +1222,7 @@ function parseFileSystemDir(dir)
 {
     var splitPath = path.normalize(dir).split(path.sep);
     if (splitPath[0] == '~') splitPath[0] = process.env.HOME || process.env.USERPROFILE;
+    if (splitPath[0] === '') splitPath[0] = path.sep; //keep absolute paths absolute
     for (var i = 0; i < splitPath.length; i++)
     {
         if (splitPath[i][0] == '$')
@@ -443,390 +1236,5773 @@ function parseFileSystemDir(dir)
 
 function loadConfig()
 {
+    var savedConfig = readConfigFile();
+    var configErrors = validateConfig(savedConfig);
+    if (configErrors.length > 0)
+    {
+        throw ('Error: invalid config file ' + getConfigPath() + ':\n    ' + configErrors.join('\n    ') + '\nFix it with \'config set\' or --edit-job');
+    }
+    checkConfigPermissions(savedConfig);
+    checkOldConfigPermissions();
+    return savedConfig;
+}
+
+function readConfigFile()
+{
+    var configPath = getConfigPath();
+    var savedConfig;
+    var configText;
     try
     {
-        config = JSON.parse(fs.readFileSync(CONFIG_FILE));
+        configText = fs.readFileSync(configPath, 'utf8');
+        savedConfig = JSON.parse(configText);
     }
     catch (err)
     {
         logger.info('Error reading config file');
+        if (err instanceof SyntaxError) throw ('Error: ' + configPath + ' is not valid JSON (' + err.message + ')');
         throw (err);
     }
-}
-
-function initDisk(disk)
-{
-    return new promise(function(resolve, reject)
+    if (savedConfig === null || typeof savedConfig !== 'object' || Array.isArray(savedConfig))
     {
-        if (diskIsValid(disk) === false)
+        throw ('Error: ' + configPath + ' does not hold a config object');
+    }
+    var version = savedConfig.configVersion || 1;
+    if (version > CONFIG_VERSION)
+    {
+        throw ('Error: ' + configPath + ' was written by a newer version of backup.js (config version ' + version + ')');
+    }
+    if (version < CONFIG_VERSION)
+    {
+        checkConfigPermissions(savedConfig, configPath); //before the migration rewrites the file as 0600
+        savedConfig = migrateConfig(savedConfig, version);
+        try
         {
-            logger.info('New disk detected');
-            if (argv['force-erase'] === true)
+            // the old file may hold secrets in clear text, so its copy is only readable by its owner
+            fs.writeFileSync(configPath + '.v' + version, configText,
             {
-                eraseDisk(disk);
-                markDisk(disk);
-                resolve();
-            }
-            else
-            {
-                eraseIfNotEmpty(disk).
-                then(function()
-                {
-                    markDisk(disk);
-                    resolve();
-                });
-            }
+                mode: CONFIG_FILE_MODE
+            });
+            fs.chmodSync(configPath + '.v' + version, CONFIG_FILE_MODE);
+            writeConfig(savedConfig);
+            logger.info('Config migrated from version %s to %s, the old file is kept as %s', version, CONFIG_VERSION, configPath + '.v' + version);
         }
-        else
+        catch (err)
         {
-            logger.info('Valid disk detected');
-            resolve();
+            logger.info('Config migrated from version %s to %s for this run only, it could not be saved (%s)', version, CONFIG_VERSION, err);
         }
-    });
+    }
+    return savedConfig;
 }
 
-function eraseIfNotEmpty(disk)
+function migrateConfig(savedConfig, version)
 {
-    return new promise(function(resolve, reject)
+    if (version < 2)
     {
-        if (extfs.isEmptySync(disk) === false)
+        // version 2 holds a list of jobs, an explicit mail transport and lists instead of comma separated settings
+        savedConfig = migrateToJobs(savedConfig);
+        [savedConfig].concat(savedConfig.jobs).forEach(function(settings)
         {
-            logger.info('WARNING: Disk is not empty! Do you want to erase the disk?');
-            promptForConfirm().
-            then(function(result)
+            if (settings.mailConfig !== undefined && settings.mailConfig !== null && settings.mailConfig.mailTransport === undefined)
             {
-                if (result.confirmed === true)
-                {
-                    eraseDisk(disk);
-                }
-                else
-                {
-                    logger.info('Disk has not been erased');
-                }
-                resolve();
-            }).
-            catch (function(err)
+                settings.mailConfig.mailTransport = getMailTransport(settings.mailConfig);
+            }
+            ['filterRules', 'rotationDisks'].forEach(function(key)
             {
-                logger.info(err);
+                if (typeof settings[key] === 'string') settings[key] = parseListOption(settings[key]);
             });
-        }
-        else
-        {
-            resolve();
-        }
-    });
+        });
+    }
+    savedConfig.configVersion = CONFIG_VERSION;
+    return savedConfig;
 }
 
-function promptForConfirm()
+function runConfigCommand(action, key, value)
 {
-    var confirmScheme = {
-        properties:
-        {
-            confirmed:
+    if (configFileExists() === false)
+    {
+        throw ('Error: no config file at ' + getConfigPath() + ', run backup.js without a command to create one');
+    }
+    var savedConfig = readConfigFile();
+    var keyPath = getConfigKeyPath(key);
+    switch (action || 'show')
+    {
+        case 'show':
+            var shownConfig = maskSecrets(JSON.parse(JSON.stringify(savedConfig)));
+            console.log(JSON.stringify(keyPath.length > 0 ? findConfigValue(shownConfig, keyPath) : shownConfig, undefined, 2));
+            return;
+        case 'get':
+            if (key === undefined && argv.job === undefined) throw ('Error: config get needs a setting, e.g. config get testMode');
+            var foundValue = findConfigValue(savedConfig, keyPath);
+            console.log(typeof foundValue === 'string' ? foundValue : JSON.stringify(foundValue, undefined, 2));
+            return;
+        case 'set':
+            if (key === undefined || value === undefined) throw ('Error: config set needs a setting and a value, e.g. config set testMode Y');
+            setConfigValue(savedConfig, keyPath, parseConfigValue(value));
+            var configErrors = validateConfig(savedConfig);
+            if (configErrors.length > 0)
             {
-                description: 'Type \'yes\' to confirm:',
-                required: false,
-                before: function(input)
-                {
-                    if (input.toLowerCase() === 'yes')
-                    {
-                        return true;
-                    }
-                    else
-                    {
-                        return false;
-                    }
-                }
+                throw ('Error: config not changed:\n    ' + configErrors.join('\n    '));
             }
-        }
-    };
-    return promptFor(confirmScheme);
+            writeConfig(savedConfig);
+            logger.info('Config updated: %s', keyPath.join('.'));
+            return;
+        case 'validate':
+            var validationErrors = validateConfig(savedConfig);
+            if (validationErrors.length > 0)
+            {
+                console.log('Config file ' + getConfigPath() + ' has ' + validationErrors.length + ' problem(s):\n    ' + validationErrors.join('\n    '));
+                process.exitCode = exitCodes.FAILED;
+            }
+            else
+            {
+                checkConfigPermissions(savedConfig);
+                console.log('Config file ' + getConfigPath() + ' is valid');
+            }
+            return;
+        default:
+            throw ('Error: unknown config action ' + action + ', use show, get, set or validate');
+    }
 }
 
-function eraseDisk(diskRoot)
+function getConfigKeyPath(key)
 {
-    try
+    var keyPath = key === undefined ? [] : String(key).split('.').filter(function(segment)
     {
-        cleanDir(diskRoot);
-        logger.info('Disk has been erased');
-    }
-    catch (err)
+        return segment.length > 0;
+    });
+    if (argv.job !== undefined)
     {
-        logger.info('Error erasing disk');
-        if (err.code === 'EACCES')
-        {
-            throw ('Error: insufficient permissions to erase disk');
-        }
-        else
-        {
-            throw (err);
-        }
+        keyPath = ['jobs', String(argv.job)].concat(keyPath);
     }
+    return keyPath;
 }
 
-function cleanDir(dirPath)
+function findConfigValue(settings, keyPath)
 {
-    var files = fs.readdirSync(dirPath);
-    if (files.length > 0)
+    return keyPath.reduce(function(current, segment, segmentNr)
     {
-        for (var i = 0; i < files.length; i++)
+        var childKey = getChildKey(current, segment);
+        if (current === null || typeof current !== 'object' || current[childKey] === undefined)
         {
-            var filePath = dirPath + '/' + files[i];
-            if (fs.statSync(filePath).isFile()) fs.unlinkSync(filePath);
-            else cleanDir(filePath);
+            throw ('Error: config setting ' + keyPath.slice(0, segmentNr + 1).join('.') + ' not found');
         }
+        return current[childKey];
+    }, settings);
+}
+
+function setConfigValue(settings, keyPath, value)
+{
+    var parent = settings;
+    var firstKey = 0;
+    if (keyPath[0] === 'jobs' && keyPath.length > 2)
+    {
+        parent = findConfigValue(settings, keyPath.slice(0, 2)); //the job must exist, nested settings are created below
+        firstKey = 2;
     }
+    keyPath.slice(firstKey, -1).forEach(function(segment)
+    {
+        if (parent[segment] === undefined || parent[segment] === null) parent[segment] = {};
+        parent = parent[segment];
+    });
+    var lastKey = getChildKey(parent, keyPath[keyPath.length - 1]);
+    if (value === '') delete parent[lastKey]; //an empty value unsets the setting
+    else parent[lastKey] = value;
 }
 
-function markDisk(diskRoot)
+function getChildKey(settings, segment)
 {
-    try
+    // jobs can be addressed by name as well as by position
+    if (Array.isArray(settings) && /^\d+$/.test(segment) === false)
     {
-        var mark = 'backup.js - disk cleared on ' + Date();
-        mark += '\nDo not remove this file, it is used by backup.js to verify the disk';
-        fs.writeFileSync(diskRoot + '/' + DISK_SIGNATURE_FILE, mark);
+        var jobIndex = findJobIndex(settings, segment);
+        if (jobIndex === -1) throw ('Error: job ' + segment + ' not found');
+        return jobIndex;
     }
-    catch (err)
+    return segment;
+}
+
+function parseConfigValue(value)
+{
+    value = String(value);
+    if (/^[\[{"]/.test(value))
     {
-        logger.info('Error marking disk');
-        if (err.code === 'EACCES')
+        try
         {
-            throw ('Error: insufficient permissions to mark disk');
+            return JSON.parse(value);
         }
-        else
+        catch (err)
         {
-            throw (err);
+            throw ('Error: ' + value + ' is not valid JSON (' + err.message + ')');
         }
     }
+    return value;
 }
 
-function diskIsValid(disk)
+function maskSecrets(settings)
 {
-    return fs.existsSync(disk + '/' + DISK_SIGNATURE_FILE);
+    getInlineSecrets(settings).forEach(function(secret)
+    {
+        secret.settings[secret.key] = '********'; //references are shown, they hold no secret
+    });
+    return settings;
 }
 
-function buildPendingBackupList(source, destination)
+function getInlineSecrets(settings, prefix)
 {
-    var sourceFileTree = getFileTree(source, parseFileSystemDir(config.backupSource));
-    // flat tree is easier to manage, but we include the full tree in case we want to visualize later
-    var sourceFileList = flattenFileTree(sourceFileTree);
-    var destinationFileTree = getFileTree(destination, parseFileSystemDir(config.backupDestination));
-    var destinationFileList = flattenFileTree(destinationFileTree);
-    var pendingFilesList = getPendingFilesFromLists(sourceFileList, destinationFileList);
-    logger.info('New files found: ' + pendingFilesList.length);
-    if (pendingFilesList.length > 0)
-    {
-        pendingFilesList = filterListByMinDate(pendingFilesList, config.backupDate);
-        logger.info('Files remaining after date filter: ' + pendingFilesList.length);
-    }
-    if (pendingFilesList.length > 0)
+    var inlineSecrets = [];
+    for (var key in settings)
     {
-        pendingFilesList = filterByRegex(pendingFilesList, config.exclude);
-        logger.info('Files remaining after regex filter: ' + pendingFilesList.length);
+        var value = settings[key];
+        if (SECRET_SETTINGS.indexOf(key) !== -1 && typeof value === 'string' && value.length > 0 && SECRET_REFERENCE.test(value) === false)
+        {
+            inlineSecrets.push(
+            {
+                settings: settings,
+                key: key,
+                path: (prefix || '') + key
+            });
+        }
+        else if (value !== null && typeof value === 'object')
+        {
+            inlineSecrets = inlineSecrets.concat(getInlineSecrets(value, (prefix || '') + (Array.isArray(settings) && value.name !== undefined ? value.name : key) + '.'));
+        }
     }
-    return pendingFilesList;
+    return inlineSecrets;
 }
 
-function getFileTree(filename, root)
+function checkConfigPermissions(savedConfig, configPath)
 {
-    var stats = fs.lstatSync(filename);
-    var info = {
-        path: filename,
-        relativePath: filename.substring(root.length + 1, filename.length),
-        name: path.basename(filename),
-        lastModified: stats.mtime
-    };
-    if (stats.isDirectory())
+    configPath = configPath || getConfigPath();
+    var inlineSecrets = getInlineSecrets(savedConfig);
+    if (inlineSecrets.length < 1 || process.platform === 'win32') return;
+    var mode = fs.statSync(configPath).mode;
+    var secretNames = inlineSecrets.map(function(secret)
     {
-        info.type = "folder";
-        info.children = fs.readdirSync(filename).map(function(child)
-        {
-            return getFileTree(filename + '/' + child, root);
-        });
+        return secret.path;
+    }).join(', ');
+    var advice = 'run chmod 600 ' + configPath + ', or move the secrets out of the config with env:, file: or cmd:';
+    if ((mode & parseInt('007', 8)) !== 0)
+    {
+        throw ('Error: ' + configPath + ' holds secrets (' + secretNames + ') and can be read by every user, ' + advice);
     }
-    else
+    if ((mode & parseInt('070', 8)) !== 0)
     {
-        info.type = "file";
+        logger.info('Warning: %s holds secrets (%s) and can be read by its group, %s', configPath, secretNames, advice);
     }
-    return info;
 }
 
-function flattenFileTree(tree)
+// copies kept by a config migration hold the same secrets as the config did
+function checkOldConfigPermissions()
 {
-    var children = getChildren(tree);
-    //logger.info(JSON.stringify(children, null, 2));
-    return children;
+    for (var version = 1; version < CONFIG_VERSION; version++)
+    {
+        var oldConfigPath = getConfigPath() + '.v' + version;
+        if (fs.existsSync(oldConfigPath) === false) continue;
+        var oldConfig;
+        try
+        {
+            oldConfig = JSON.parse(fs.readFileSync(oldConfigPath, 'utf8'));
+        }
+        catch (err)
+        {
+            continue; //not a config, so no secrets to check
+        }
+        checkConfigPermissions(oldConfig, oldConfigPath);
+    }
 }
 
-function getChildren(parent)
+function resolveSecret(value, settingName)
 {
-    var children = [];
-    if (parent.children)
+    var reference = SECRET_REFERENCE.exec(String(value));
+    if (reference === null)
     {
-        for (var i = 0; i < parent.children.length; i++)
-        {
-            var child = parent.children[i];
-            if (child.children)
+        return value; //stored in the config
+    }
+    var source = reference[2].trim();
+    switch (reference[1])
+    {
+        case 'env':
+            if (process.env[source] === undefined) throw ('Error: environment variable ' + source + ' for ' + settingName + ' is not set');
+            return process.env[source];
+        case 'file':
+            return readCredentialsFile(source, settingName);
+        case 'cmd':
+            try
             {
-                var subChildren = getChildren(child);
-                for (var childNr in subChildren)
+                return childProcess.execSync(source,
                 {
-                    children.push(subChildren[childNr]);
-                }
+                    encoding: 'utf8',
+                    stdio: ['ignore', 'pipe', 'inherit'],
+                    timeout: SECRET_COMMAND_TIMEOUT
+                }).replace(/\r?\n$/, '');
             }
-            else
+            catch (err)
             {
-                children.push(child);
+                throw ('Error: the command for ' + settingName + ' failed (' + (err.status !== undefined && err.status !== null ? 'exit code ' + err.status : err.code || err.signal) + ')');
             }
-        }
     }
-    return children;
 }
 
-function filterListByMinDate(fileList, minDate)
+function readCredentialsFile(file, settingName)
 {
-    var minDateParsed = Date.parse(minDate);
-    if (isNaN(minDateParsed)) // no date set
-    {
-        return fileList;
-    }
-    var filteredList = [];
-    for (var fileNr in fileList)
+    var filePath = parseFileSystemDir(String(file));
+    var secret;
+    try
     {
-        var file = fileList[fileNr];
-        var fileModDate = Date.parse(file.lastModified);
-        if (fileModDate >= minDateParsed)
+        if (process.platform !== 'win32' && (fs.statSync(filePath).mode & parseInt('077', 8)) !== 0)
         {
-            filteredList.push(file);
+            throw ('Error: ' + file + ' holds ' + settingName + ' and can be read by other users, run chmod 600 ' + file);
         }
+        secret = fs.readFileSync(filePath, 'utf8');
     }
-    return filteredList;
+    catch (err)
+    {
+        if (typeof err === 'string') throw (err);
+        throw ('Error: unable to read ' + file + ' for ' + settingName + ' (' + err.code + ')');
+    }
+    return secret.replace(/\r?\n$/, '');
 }
 
-function filterByRegex(fileList, regex)
+function validateConfig(savedConfig)
 {
-    if (regex === undefined || regex.length < 1)
+    var configErrors = [];
+    var defaults = {};
+    for (var key in savedConfig)
     {
-        return fileList;
+        if (key === 'jobs' || key === 'configVersion') continue;
+        defaults[key] = savedConfig[key];
     }
-    var filter = new RegExp(regex, 'g');
-    var filteredList = [];
-    for (var fileNr in fileList)
+    validateSettings(defaults, jobSettingsSchema, '', configErrors);
+    if (Array.isArray(savedConfig.jobs) === false || savedConfig.jobs.length < 1)
     {
-        var file = fileList[fileNr];
-        if (file.name.match(filter) === null)
+        configErrors.push('jobs: must be a list with at least one job');
+        return configErrors;
+    }
+    var jobNames = [];
+    savedConfig.jobs.forEach(function(job, jobNr)
+    {
+        var prefix = 'jobs[' + (job !== null && typeof job.name === 'string' ? job.name : jobNr) + '].';
+        if (job === null || typeof job !== 'object' || Array.isArray(job))
         {
-            filteredList.push(file);
+            configErrors.push(prefix.slice(0, -1) + ': must be an object');
+            return;
         }
-    }
-    return filteredList;
+        validateSettings(job, jobSettingsSchema, prefix, configErrors);
+        if (jobNames.indexOf(job.name) !== -1) configErrors.push(prefix + 'name: another job has the same name');
+        jobNames.push(job.name);
+        // these can come from the top level settings as well
+        ['name', 'backupSource', 'backupDestination'].forEach(function(requiredKey)
+        {
+            if (job[requiredKey] === undefined && defaults[requiredKey] === undefined) configErrors.push(prefix + requiredKey + ': is required');
+        });
+    });
+    return configErrors;
 }
 
-function getPendingFilesFromLists(sourceList, destinationList)
+function validateSettings(settings, schema, prefix, configErrors)
 {
-    var pendingFilesList = [];
-    for (var fileNr in sourceList)
+    Object.keys(settings).forEach(function(key)
     {
-        var sourceFile = sourceList[fileNr];
-        var destinationClone = findFileInList(sourceFile, destinationList);
-        if (destinationClone === undefined)
+        var value = settings[key];
+        var rule = schema[key];
+        if (rule === undefined)
         {
-            sourceFile.reason = backupReasons.DEST_FILE_NOT_FOUND;
-            pendingFilesList.push(sourceFile);
+            configErrors.push(prefix + key + ': unknown setting');
+            return;
         }
-        else
+        if (value === undefined || value === null || value === '')
         {
-            if (compareFilesByDate(sourceFile, destinationClone) === 1) //source is newer
-            {
-                sourceFile.reason = backupReasons.SRC_FILE_NEWER;
-                pendingFilesList.push(sourceFile);
-            }
+            return; //unset, the default applies
         }
+        if (rule.type === 'object')
+        {
+            if (typeof value !== 'object' || Array.isArray(value)) configErrors.push(prefix + key + ': must be an object');
+            else validateSettings(value, rule.settings, prefix + key + '.', configErrors);
+            return;
+        }
+        var problem = checkSetting(rule, value);
+        if (problem !== undefined)
+        {
+            configErrors.push(prefix + key + ': ' + problem + ', got ' + JSON.stringify(value));
+        }
+    });
+}
+
+function checkSetting(rule, value)
+{
+    var text = String(value);
+    switch (rule.type)
+    {
+        case 'string':
+            if (typeof value !== 'string') return 'must be text';
+            if (rule.pattern !== undefined && rule.pattern.test(value) === false) return rule.message;
+            return;
+        case 'paths':
+            if ([].concat(value).every(function(item)
+                {
+                    return typeof item === 'string' && item.length > 0;
+                }) === false) return 'must be a path or a list of paths';
+            return;
+        case 'list':
+            if (typeof value !== 'string' && (Array.isArray(value) === false || value.some(function(item)
+                {
+                    return typeof item !== 'string';
+                }))) return 'must be a list of text, or text separated by commas';
+            return;
+        case 'yesNo':
+            if (typeof value !== 'string' || /^[YN]$/i.test(value) === false) return 'must be \'Y\' or \'N\'';
+            return;
+        case 'choice':
+            if (typeof value !== 'string' || rule.values.indexOf(value.toLowerCase()) === -1) return 'must be one of ' + rule.values.join(', ');
+            return;
+        case 'number':
+            if (/^\d+$/.test(text) === false || parseInt(text, 10) < (rule.min || 0)) return 'must be a whole number' + (rule.min ? ' of at least ' + rule.min : '');
+            return;
+        case 'size':
+            if (isNaN(parseSize(value))) return 'must be a size like 500M or 4G';
+            return;
+        case 'duration':
+            if (isNaN(parseDuration(value))) return 'must be a duration like 10m, 12h or 30d';
+            return;
+        case 'schedule':
+            if (parseSchedule(value) === undefined) return 'must be an interval of at least 1m, like 6h or 1d@02:00';
+            return;
+        case 'date':
+            if (text !== LAST_RUN_DATE && isNaN(parseDuration(text)) && isNaN(Date.parse(text))) return 'must be a date, an age like 30d or \'last\'';
+            return;
+        case 'regex':
+            try
+            {
+                new RegExp(text);
+            }
+            catch (err)
+            {
+                return 'must be a valid regular expression';
+            }
+            return;
+        case 'url':
+            if (/^https?:\/\/\S+$/i.test(text) === false) return 'must be an http:// or https:// URL';
+            return;
+        case 'secret':
+            if (typeof value !== 'string') return 'must be text, or env:NAME, file:PATH or cmd:COMMAND';
+            if (/^(env|file|cmd):\s*$/.test(value)) return 'must name a variable, file or command after the colon';
+            return;
+    }
+}
+
+var retentionSettingsSchema = {
+    daily:
+    {
+        type: 'number'
+    },
+    weekly:
+    {
+        type: 'number'
+    },
+    monthly:
+    {
+        type: 'number'
+    }
+};
+
+var mailSettingsSchema = {
+    logMailReceiver:
+    {
+        type: 'string'
+    },
+    logMailSender:
+    {
+        type: 'string'
+    },
+    logMailSenderPassword:
+    {
+        type: 'secret'
+    },
+    mailTransport:
+    {
+        type: 'choice',
+        values: [mailTransports.SMTP, mailTransports.SENDMAIL, mailTransports.GMAIL, mailTransports.DIRECT]
+    },
+    smtpHost:
+    {
+        type: 'string'
+    },
+    smtpPort:
+    {
+        type: 'number',
+        min: 1
+    },
+    smtpSecurity:
+    {
+        type: 'choice',
+        values: [smtpSecurityModes.STARTTLS, smtpSecurityModes.TLS, smtpSecurityModes.NONE]
+    },
+    smtpUser:
+    {
+        type: 'string'
+    },
+    sendmailPath:
+    {
+        type: 'string'
+    }
+};
+
+var jobSettingsSchema = {
+    name:
+    {
+        type: 'string',
+        pattern: /^[\w.-]+$/,
+        message: 'must only hold letters, digits, \'.\', \'-\' and \'_\''
+    },
+    backupSource:
+    {
+        type: 'paths'
+    },
+    backupDestination:
+    {
+        type: 'string'
+    },
+    rotationDisks:
+    {
+        type: 'list'
+    },
+    foreignDiskAction:
+    {
+        type: 'choice',
+        values: [foreignDiskActions.WARN, foreignDiskActions.BLOCK]
+    },
+    spaceShortageAction:
+    {
+        type: 'choice',
+        values: [spaceShortageActions.ABORT, spaceShortageActions.PARTIAL]
+    },
+    copyConcurrency:
+    {
+        type: 'number',
+        min: 1
+    },
+    rateLimit:
+    {
+        type: 'size'
+    },
+    schedule:
+    {
+        type: 'schedule'
+    },
+    waitForDisk:
+    {
+        type: 'yesNo'
+    },
+    backupDate:
+    {
+        type: 'date'
+    },
+    maxFileSize:
+    {
+        type: 'size'
+    },
+    minFileAge:
+    {
+        type: 'duration'
+    },
+    exclude:
+    {
+        type: 'regex'
+    },
+    filterRules:
+    {
+        type: 'list'
+    },
+    destinationFormat:
+    {
+        type: 'choice',
+        values: [destinationFormats.FILES, destinationFormats.ARCHIVE, destinationFormats.REPOSITORY]
+    },
+    compareMode:
+    {
+        type: 'choice',
+        values: [compareModes.MTIME, compareModes.SIZE_MTIME, compareModes.CHECKSUM]
+    },
+    testMode:
+    {
+        type: 'yesNo'
+    },
+    snapshotMode:
+    {
+        type: 'yesNo'
+    },
+    retention:
+    {
+        type: 'object',
+        settings: retentionSettingsSchema
+    },
+    encryptionMode:
+    {
+        type: 'yesNo'
+    },
+    encryptFileNames:
+    {
+        type: 'yesNo'
+    },
+    encryptionPassphrase:
+    {
+        type: 'secret'
+    },
+    encryptionKeyFile:
+    {
+        type: 'string'
+    },
+    mirrorMode:
+    {
+        type: 'yesNo'
+    },
+    mirrorAction:
+    {
+        type: 'choice',
+        values: [mirrorActions.ATTIC, mirrorActions.DELETE]
+    },
+    atticExpiryDays:
+    {
+        type: 'number'
+    },
+    sendMailSummary:
+    {
+        type: 'yesNo'
+    },
+    webhookUrl:
+    {
+        type: 'url'
+    },
+    notifyOn:
+    {
+        type: 'choice',
+        values: [notifyModes.ALWAYS, notifyModes.PROBLEMS]
+    },
+    mailConfig:
+    {
+        type: 'object',
+        settings: mailSettingsSchema
+    }
+};
+
+function migrateToJobs(savedConfig)
+{
+    if (Array.isArray(savedConfig.jobs))
+    {
+        return savedConfig;
+    }
+    // configs from before jobs existed hold a single unnamed job
+    var job = savedConfig;
+    job.name = job.name || 'default';
+    return {
+        jobs: [job]
+    };
+}
+
+function findJobIndex(jobList, jobName)
+{
+    for (var jobNr = 0; jobNr < jobList.length; jobNr++)
+    {
+        if (jobList[jobNr].name === jobName) return jobNr;
+    }
+    return -1;
+}
+
+function getSelectedJobs(savedConfig)
+{
+    savedConfig = migrateToJobs(savedConfig);
+    var defaults = {};
+    for (var key in savedConfig)
+    {
+        if (key !== 'jobs' && key !== 'configVersion') defaults[key] = savedConfig[key]; //top level settings apply to every job
+    }
+    var jobList = savedConfig.jobs.map(function(job)
+    {
+        var mergedJob = util._extend(util._extend({}, defaults), job);
+        if (mergedJob.mailConfig === undefined) mergedJob.mailConfig = defaults.mailConfig;
+        return mergedJob;
+    });
+    if (argv.job !== undefined)
+    {
+        var jobIndex = findJobIndex(jobList, String(argv.job));
+        if (jobIndex === -1)
+        {
+            throw ('Error: job ' + argv.job + ' not found');
+        }
+        jobList = [jobList[jobIndex]];
+    }
+    return jobList;
+}
+
+function getSourceRoots()
+{
+    // several sources share the disk, each one gets its own folder there
+    var sources = [].concat(config.backupSource);
+    if (sources.length === 1)
+    {
+        return [
+        {
+            folder: '',
+            path: parseFileSystemDir(String(sources[0]))
+        }];
+    }
+    var folderNames = [];
+    return sources.map(function(source)
+    {
+        var sourcePath = parseFileSystemDir(String(source));
+        var folderName = path.basename(sourcePath);
+        if (folderNames.indexOf(folderName) !== -1)
+        {
+            throw ('Error: job ' + config.name + ' has several sources named ' + folderName);
+        }
+        folderNames.push(folderName);
+        return {
+            folder: folderName,
+            path: sourcePath
+        };
+    });
+}
+
+function getSourceTree(filterRules, excludedList)
+{
+    var sourceRoots = getSourceRoots();
+    if (sourceRoots.length === 1)
+    {
+        return getFileTree(sourceRoots[0].path, sourceRoots[0].path, filterRules, excludedList);
+    }
+    var scanLimiter = createTaskLimiter(getCopyConcurrency());
+    return promise.map(sourceRoots, function(sourceRoot)
+    {
+        return getFileTree(sourceRoot.path, sourceRoot.path, filterRules, excludedList, sourceRoot.folder, scanLimiter);
+    }).
+    then(function(sourceTrees)
+    {
+        return {
+            relativePath: '',
+            type: 'folder',
+            children: sourceTrees
+        };
+    });
+}
+
+function initDisk(disk)
+{
+    return new promise(function(resolve, reject)
+    {
+        if (diskIsValid(disk) === false)
+        {
+            logger.info('New disk detected');
+            if (argv['force-erase'] === true)
+            {
+                eraseDisk(disk);
+                markDisk(disk);
+                resolve();
+            }
+            else
+            {
+                eraseIfNotEmpty(disk).
+                then(function()
+                {
+                    markDisk(disk);
+                    resolve();
+                }).
+                catch (reject);
+            }
+        }
+        else
+        {
+            logger.info('Valid disk detected');
+            resolve();
+        }
+    });
+}
+
+function eraseIfNotEmpty(disk)
+{
+    return new promise(function(resolve, reject)
+    {
+        if (extfs.isEmptySync(disk) === false)
+        {
+            if (runningFromCli === false)
+            {
+                throw ('Error: the backup destination ' + disk + ' is not empty, pass forceErase to erase it');
+            }
+            logger.info('WARNING: Disk is not empty! Do you want to erase the disk?');
+            promptForConfirm().
+            then(function(result)
+            {
+                if (result.confirmed === true)
+                {
+                    eraseDisk(disk);
+                }
+                else
+                {
+                    logger.info('Disk has not been erased');
+                }
+                resolve();
+            }).
+            catch (function(err)
+            {
+                logger.info(err);
+            });
+        }
+        else
+        {
+            resolve();
+        }
+    });
+}
+
+function promptForConfirm()
+{
+    var confirmScheme = {
+        properties:
+        {
+            confirmed:
+            {
+                description: 'Type \'yes\' to confirm:',
+                required: false,
+                before: function(input)
+                {
+                    if (input.toLowerCase() === 'yes')
+                    {
+                        return true;
+                    }
+                    else
+                    {
+                        return false;
+                    }
+                }
+            }
+        }
+    };
+    return promptFor(confirmScheme);
+}
+
+function eraseDisk(diskRoot)
+{
+    try
+    {
+        cleanDir(diskRoot);
+        logger.info('Disk has been erased');
+    }
+    catch (err)
+    {
+        logger.info('Error erasing disk');
+        if (err.code === 'EACCES')
+        {
+            throw ('Error: insufficient permissions to erase disk');
+        }
+        else
+        {
+            throw (err);
+        }
+    }
+}
+
+function cleanDir(dirPath)
+{
+    var files = fs.readdirSync(dirPath);
+    if (files.length > 0)
+    {
+        for (var i = 0; i < files.length; i++)
+        {
+            var filePath = dirPath + '/' + files[i];
+            if (fs.statSync(filePath).isFile()) fs.unlinkSync(filePath);
+            else cleanDir(filePath);
+        }
+    }
+}
+
+function markDisk(diskRoot, label)
+{
+    var diskId = crypto.randomUUID();
+    writeDiskSignature(diskRoot,
+    {
+        diskId: diskId,
+        label: label || argv['disk-label'] || config.name + '-' + diskId.substring(0, 8),
+        job: config.name,
+        created: new Date().toISOString()
+    });
+}
+
+function writeDiskSignature(diskRoot, signature)
+{
+    try
+    {
+        var mark = {
+            signatureVersion: SIGNATURE_VERSION,
+            notice: 'Do not remove this file, it is used by backup.js to verify the disk',
+            diskId: signature.diskId,
+            label: signature.label,
+            job: signature.job,
+            created: signature.created
+        };
+        fs.writeFileSync(diskRoot + '/' + DISK_SIGNATURE_FILE, JSON.stringify(mark, undefined, 2));
+    }
+    catch (err)
+    {
+        logger.info('Error marking disk');
+        if (err.code === 'EACCES')
+        {
+            throw ('Error: insufficient permissions to mark disk');
+        }
+        else
+        {
+            throw (err);
+        }
+    }
+}
+
+function diskIsValid(disk)
+{
+    return fs.existsSync(disk + '/' + DISK_SIGNATURE_FILE);
+}
+
+function readDiskSignature(disk)
+{
+    if (diskIsValid(disk) === false)
+    {
+        return undefined;
+    }
+    try
+    {
+        var signature = JSON.parse(fs.readFileSync(disk + '/' + DISK_SIGNATURE_FILE, 'utf8'));
+        if (signature.signatureVersion === SIGNATURE_VERSION) return signature;
+    }
+    catch (err)
+    {
+        // disks marked by older versions hold a plain-text signature
+    }
+    return {
+        legacy: true
+    };
+}
+
+function checkDiskIdentity(disk)
+{
+    var signature = readDiskSignature(disk);
+    if (signature.legacy === true)
+    {
+        logger.info('Upgrading the disk signature, the disk now belongs to job ' + config.name);
+        markDisk(disk);
+        signature = readDiskSignature(disk);
+    }
+    if (argv['register-disk'] === true)
+    {
+        registerDisk(disk, signature);
+    }
+    var rotationDisks = parseListOption(config.rotationDisks);
+    var problem;
+    if (signature.job !== config.name)
+    {
+        problem = 'disk ' + signature.label + ' belongs to job ' + signature.job + ', not to ' + config.name;
+    }
+    else if (rotationDisks.length > 0 && rotationDisks.indexOf(signature.label) === -1)
+    {
+        problem = 'disk ' + signature.label + ' is not part of the rotation set of job ' + config.name + ' (' + rotationDisks.join(', ') + ')';
+    }
+    if (problem !== undefined)
+    {
+        if (getForeignDiskAction() === foreignDiskActions.BLOCK)
+        {
+            throw ('Error: ' + problem + '. Use --register-disk to add it to the job');
+        }
+        logger.info('WARNING: ' + problem);
+    }
+    var lastRun = readDiskState(disk).lastSuccessfulRun;
+    logger.info('Using disk %s (%s), %s', signature.label, signature.diskId, lastRun === undefined ? 'no previous run' : 'last run on ' + new Date(lastRun));
+    return signature;
+}
+
+function registerDisk(disk, signature)
+{
+    signature.job = config.name;
+    if (argv['disk-label'] !== undefined) signature.label = String(argv['disk-label']);
+    writeDiskSignature(disk, signature);
+    var rotationDisks = parseListOption(config.rotationDisks);
+    if (rotationDisks.indexOf(signature.label) === -1)
+    {
+        rotationDisks.push(signature.label);
+        var savedConfig = migrateToJobs(loadConfig());
+        var jobIndex = findJobIndex(savedConfig.jobs, config.name);
+        if (jobIndex !== -1)
+        {
+            var savedDisks = parseListOption(savedConfig.jobs[jobIndex].rotationDisks);
+            if (savedDisks.indexOf(signature.label) === -1) savedDisks.push(signature.label);
+            savedConfig.jobs[jobIndex].rotationDisks = savedDisks;
+            writeConfig(savedConfig);
+        }
+        config.rotationDisks = rotationDisks;
+    }
+    logger.info('Disk %s is registered for job %s', signature.label, config.name);
+}
+
+function getForeignDiskAction()
+{
+    return (config.foreignDiskAction || foreignDiskActions.WARN).toLowerCase();
+}
+
+function acquireDiskLock(disk)
+{
+    var lockPath = disk + '/' + LOCK_FILE;
+    var lock = {
+        pid: process.pid,
+        hostname: os.hostname(),
+        job: config.name,
+        started: new Date().toISOString()
+    };
+    try
+    {
+        fs.writeFileSync(lockPath, JSON.stringify(lock, undefined, 2),
+        {
+            flag: 'wx'
+        });
+    }
+    catch (err)
+    {
+        if (err.code !== 'EEXIST') throw err;
+        var heldLock = readDiskLock(lockPath);
+        if (lockIsStale(heldLock, lockPath) === false)
+        {
+            throw ('Error: the backup disk is in use by ' + describeLock(heldLock) + '. Remove ' + lockPath + ' if that run is gone');
+        }
+        logger.info('Removing the stale lock of ' + describeLock(heldLock));
+        fs.unlinkSync(lockPath);
+        return acquireDiskLock(disk);
+    }
+    // other hosts can only tell a crashed run from a long one by the age of the lock
+    var heartbeat = setInterval(function()
+    {
+        var now = new Date();
+        fs.utimes(lockPath, now, now, function() {});
+    }, LOCK_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    diskLock = {
+        path: lockPath,
+        heartbeat: heartbeat
+    };
+}
+
+function releaseDiskLock()
+{
+    if (diskLock === undefined)
+    {
+        return;
+    }
+    clearInterval(diskLock.heartbeat);
+    try
+    {
+        fs.unlinkSync(diskLock.path);
+    }
+    catch (err)
+    {
+        // already gone, e.g. when the disk was erased
+    }
+    diskLock = undefined;
+}
+
+function readDiskLock(lockPath)
+{
+    try
+    {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    }
+    catch (err)
+    {
+        return {}; //unreadable or half written, only its age can tell
+    }
+}
+
+function lockIsStale(lock, lockPath)
+{
+    if (lock.hostname === os.hostname() && lock.pid !== undefined)
+    {
+        return processIsRunning(lock.pid) === false;
+    }
+    try
+    {
+        return Date.now() - fs.statSync(lockPath).mtime.getTime() > STALE_LOCK_AGE;
+    }
+    catch (err)
+    {
+        return true; //removed in the meantime
+    }
+}
+
+function processIsRunning(pid)
+{
+    try
+    {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (err)
+    {
+        return err.code === 'EPERM'; //running, but owned by another user
+    }
+}
+
+function describeLock(lock)
+{
+    if (lock.pid === undefined)
+    {
+        return 'another run';
+    }
+    return 'job ' + lock.job + ' (process ' + lock.pid + ' on ' + lock.hostname + ', started ' + new Date(lock.started) + ')';
+}
+
+function buildBackupPlan(destinationFileList)
+{
+    var excludedList = [];
+    var scanFailureCount = runFailures.length;
+    return getSourceTree(getFilterRules(), excludedList).
+    then(function(sourceFileTree)
+    {
+        var unreadablePaths = runFailures.slice(scanFailureCount).map(function(failure)
+        {
+            return failure.relativePath;
+        });
+        // flat tree is easier to manage, but we include the full tree in case we want to visualize later
+        var sourceFileList = flattenFileTree(sourceFileTree);
+        assignHardLinks(sourceFileList);
+        var skippedList = excludedList.map(function(file)
+        {
+            file.skipReason = skipReasons.FILTER_RULE;
+            return file;
+        });
+        if (excludedList.length > 0)
+        {
+            logger.info('Files and folders excluded by rules: ' + excludedList.length);
+        }
+        var excludedPaths = excludedList.map(function(file)
+        {
+            return file.relativePath;
+        });
+        return getPendingFilesFromLists(sourceFileList, destinationFileList).
+        then(function(pendingFilesList)
+        {
+            var removedFilesList = [];
+            if (mirrorModeEnabled())
+            {
+                removedFilesList = getRemovedFilesFromLists(sourceFileList, destinationFileList).filter(function(file)
+                {
+                    return isBelowPaths(file.relativePath, unreadablePaths) === false && //not removed, just unreadable right now
+                        isBelowPaths(file.relativePath, excludedPaths) === false; //excluded by a rule, the backup copy is kept
+                });
+                logger.info('Files removed from source: ' + removedFilesList.length);
+            }
+            logger.info('New files found: ' + pendingFilesList.length);
+            pendingFilesList = applyFileFilters(pendingFilesList, skippedList);
+            return {
+                sourceFiles: sourceFileList,
+                destinationFiles: destinationFileList,
+                pendingFiles: pendingFilesList,
+                removedFiles: removedFilesList,
+                skippedFiles: skippedList,
+                sourceFolders: filterLongNames(getFolders(sourceFileTree), skippedList),
+                unreadablePaths: unreadablePaths,
+                excludedPaths: excludedPaths
+            };
+        });
+    });
+}
+
+function applyFileFilters(pendingFilesList, skippedList)
+{
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterSpecialFiles(pendingFilesList, skippedList);
+        logger.info('Files remaining after file type filter: ' + pendingFilesList.length);
+    }
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterListByMinDate(pendingFilesList, getMinDate(config.backupDate), skippedList);
+        logger.info('Files remaining after date filter: ' + pendingFilesList.length);
+    }
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterListBySize(pendingFilesList, parseSize(config.maxFileSize), skippedList);
+        logger.info('Files remaining after size filter: ' + pendingFilesList.length);
+    }
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterListByAge(pendingFilesList, parseDuration(config.minFileAge), skippedList);
+        logger.info('Files remaining after age filter: ' + pendingFilesList.length);
+    }
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterByRegex(pendingFilesList, config.exclude, skippedList);
+        logger.info('Files remaining after regex filter: ' + pendingFilesList.length);
+    }
+    if (pendingFilesList.length > 0)
+    {
+        pendingFilesList = filterLongNames(pendingFilesList, skippedList);
+        logger.info('Files remaining after name length filter: ' + pendingFilesList.length);
+    }
+    return pendingFilesList;
+}
+
+function getFileTree(filename, root, filterRules, excludedList, folder, scanLimiter)
+{
+    // the whole scan shares one limiter, so no more than copyConcurrency file system calls run at once
+    scanLimiter = scanLimiter || createTaskLimiter(getCopyConcurrency());
+    var sourcePath = filename.substring(root.length + 1, filename.length); //filter rules apply within the source
+    var info;
+    return scanLimiter(function()
+    {
+        return fs.lstatAsync(filename);
+    }).
+    then(function(stats)
+    {
+        info = {
+            path: filename,
+            relativePath: folder ? (sourcePath.length > 0 ? folder + '/' + sourcePath : folder) : sourcePath,
+            name: path.basename(filename),
+            lastModified: stats.mtime,
+            size: stats.size,
+            mode: stats.mode & MODE_MASK,
+            uid: stats.uid,
+            gid: stats.gid
+        };
+        if (filterRules !== undefined && sourcePath.length > 0 && isExcludedByRules(filterRules, sourcePath, stats.isDirectory()))
+        {
+            if (stats.isDirectory()) info.type = 'folder'; //everything below it is excluded too
+            if (excludedList !== undefined) excludedList.push(info);
+            return undefined;
+        }
+        if (stats.isSocket() || stats.isFIFO() || stats.isBlockDevice() || stats.isCharacterDevice())
+        {
+            info.type = "special";
+        }
+        else if (stats.isSymbolicLink())
+        {
+            info.type = "symlink";
+            return scanLimiter(function()
+            {
+                return fs.readlinkAsync(filename);
+            }).
+            then(function(linkTarget)
+            {
+                info.linkTarget = linkTarget;
+                return info;
+            });
+        }
+        else if (stats.isDirectory())
+        {
+            info.type = "folder";
+            return getFolderChildren(filename, root, filterRules, excludedList, folder, scanLimiter, info);
+        }
+        else
+        {
+            info.type = "file";
+            if (stats.nlink > 1) info.inode = stats.dev + ':' + stats.ino; //hard linked
+        }
+        return info;
+    });
+}
+
+function getFolderChildren(filename, root, filterRules, excludedList, folder, scanLimiter, info)
+{
+    var sourcePath = filename.substring(root.length + 1, filename.length);
+    var childRules = filterRules;
+    return promise.resolve(filterRules !== undefined ? readIgnoreFile(filename, sourcePath, scanLimiter) : []).
+    then(function(ignoreRules)
+    {
+        if (filterRules !== undefined)
+        {
+            childRules = filterRules.concat(ignoreRules);
+        }
+        return scanLimiter(function()
+        {
+            return fs.readdirAsync(filename);
+        });
+    }).
+    then(function(children)
+    {
+        return promise.map(children, function(child)
+        {
+            return getFileTree(filename + '/' + child, root, childRules, excludedList, folder, scanLimiter).
+            catch(function(err)
+            {
+                // one unreadable file or folder doesn't stop the scan
+                recordFailure((info.relativePath.length > 0 ? info.relativePath + '/' : '') + child, err);
+                return undefined;
+            });
+        });
+    }).
+    then(function(children)
+    {
+        info.children = children.filter(function(child)
+        {
+            return child !== undefined; //excluded folders are never scanned
+        });
+        return info;
+    });
+}
+
+function createTaskLimiter(limit)
+{
+    var running = 0;
+    var waiting = [];
+    function startNext()
+    {
+        if (running >= limit || waiting.length < 1) return;
+        var task = waiting.shift();
+        running++;
+        promise.try(task.run).
+        finally(function()
+        {
+            running--;
+            startNext();
+        }).
+        then(task.resolve, task.reject);
+    }
+    return function(run)
+    {
+        return new promise(function(resolve, reject)
+        {
+            waiting.push(
+            {
+                run: run,
+                resolve: resolve,
+                reject: reject
+            });
+            startNext();
+        });
+    };
+}
+
+function flattenFileTree(tree)
+{
+    var children = getChildren(tree);
+    //logger.info(JSON.stringify(children, null, 2));
+    return children;
+}
+
+function getFolders(parent)
+{
+    var folders = [];
+    (parent.children || []).forEach(function(child)
+    {
+        if (child.type === 'folder')
+        {
+            folders.push(child);
+            folders = folders.concat(getFolders(child));
+        }
+    });
+    return folders;
+}
+
+function assignHardLinks(fileList)
+{
+    // the first path of a hard linked file is copied, the others become links to it
+    var firstPaths = Object.create(null);
+    fileList.slice().sort(function(fileA, fileB)
+    {
+        return fileA.relativePath < fileB.relativePath ? -1 : 1;
+    }).forEach(function(file)
+    {
+        if (file.inode === undefined) return;
+        if (firstPaths[file.inode] === undefined) firstPaths[file.inode] = file.relativePath;
+        else file.linkedTo = firstPaths[file.inode];
+    });
+}
+
+function getChildren(parent)
+{
+    var children = [];
+    if (parent.children)
+    {
+        for (var i = 0; i < parent.children.length; i++)
+        {
+            var child = parent.children[i];
+            if (child.children)
+            {
+                var subChildren = getChildren(child);
+                for (var childNr in subChildren)
+                {
+                    children.push(subChildren[childNr]);
+                }
+            }
+            else
+            {
+                children.push(child);
+            }
+        }
+    }
+    return children;
+}
+
+function filterListByMinDate(fileList, minDate, skippedList)
+{
+    var minDateParsed = Date.parse(minDate);
+    if (isNaN(minDateParsed)) // no date set
+    {
+        return fileList;
+    }
+    return filterList(fileList, skipReasons.BEFORE_MIN_DATE, skippedList, function(file)
+    {
+        return Date.parse(file.lastModified) >= minDateParsed;
+    });
+}
+
+function filterLongNames(fileList, skippedList)
+{
+    // encrypted names are about a third longer, long names would fail with ENAMETOOLONG on the backup disk
+    if (encryption === undefined || encryption.encryptFileNames === false || getDestinationFormat() !== destinationFormats.FILES)
+    {
+        return fileList;
+    }
+    return filterList(fileList, skipReasons.NAME_TOO_LONG, skippedList, function(file)
+    {
+        return encryptRelativePath(file.relativePath).split('/').every(function(encryptedName)
+        {
+            return Buffer.byteLength(encryptedName) <= MAX_NAME_LENGTH;
+        });
+    });
+}
+
+function filterListBySize(fileList, maxSize, skippedList)
+{
+    if (isNaN(maxSize))
+    {
+        return fileList;
+    }
+    return filterList(fileList, skipReasons.TOO_LARGE, skippedList, function(file)
+    {
+        return file.size <= maxSize;
+    });
+}
+
+function filterListByAge(fileList, minAge, skippedList)
+{
+    if (isNaN(minAge))
+    {
+        return fileList;
+    }
+    // files changed this recently may still be written to
+    var maxDate = Date.now() - minAge;
+    return filterList(fileList, skipReasons.TOO_RECENT, skippedList, function(file)
+    {
+        return Date.parse(file.lastModified) <= maxDate;
+    });
+}
+
+function filterSpecialFiles(fileList, skippedList)
+{
+    return filterList(fileList, skipReasons.SPECIAL_FILE, skippedList, function(file)
+    {
+        return file.type !== 'special';
+    });
+}
+
+function filterList(fileList, skipReason, skippedList, keepFile)
+{
+    var filteredList = [];
+    for (var fileNr in fileList)
+    {
+        var file = fileList[fileNr];
+        if (keepFile(file))
+        {
+            filteredList.push(file);
+        }
+        else if (skippedList !== undefined)
+        {
+            file.skipReason = skipReason;
+            skippedList.push(file);
+        }
+    }
+    return filteredList;
+}
+
+function getMinDate(backupDate)
+{
+    if (backupDate === undefined || String(backupDate).length < 1)
+    {
+        return undefined;
+    }
+    if (backupDate === LAST_RUN_DATE)
+    {
+        var lastRun = readDiskState(parseFileSystemDir(config.backupDestination)).lastSuccessfulRun;
+        if (lastRun === undefined)
+        {
+            logger.info('No successful run found on the backup disk, including all dates');
+            return undefined;
+        }
+        logger.info('Including files changed since the last successful run on ' + new Date(lastRun));
+        return new Date(lastRun);
+    }
+    var age = parseDuration(backupDate);
+    if (isNaN(age) === false)
+    {
+        return new Date(Date.now() - age);
+    }
+    return backupDate;
+}
+
+function parseSize(input)
+{
+    if (input === undefined || input === null || String(input).length < 1) return NaN;
+    var match = String(input).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)B?$/i);
+    if (match === null) return NaN;
+    var unit = match[2].length > 0 ? SIZE_UNITS[match[2].toUpperCase()] : 1;
+    return Math.floor(parseFloat(match[1]) * unit);
+}
+
+function parseDuration(input)
+{
+    if (input === undefined || input === null) return NaN;
+    var match = String(input).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/);
+    if (match === null) return NaN;
+    return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function readDiskState(disk)
+{
+    var statePath = disk + '/' + STATE_FILE;
+    if (fs.existsSync(statePath) === false)
+    {
+        return {};
+    }
+    try
+    {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    }
+    catch (err)
+    {
+        logger.info('Error reading disk state: ' + err);
+        return {};
+    }
+}
+
+function writeDiskState(disk, state)
+{
+    var statePath = disk + '/' + STATE_FILE;
+    fs.writeFileSync(statePath + '.tmp', JSON.stringify(state, undefined, 2));
+    fs.renameSync(statePath + '.tmp', statePath);
+}
+
+function getFilterRules()
+{
+    return compileFilterRules(parseListOption(config.filterRules), '');
+}
+
+function parseListOption(input)
+{
+    if (input === undefined || input === null) return [];
+    if (Array.isArray(input)) return input;
+    return String(input).split(',').map(function(rule)
+    {
+        return rule.trim();
+    }).filter(function(rule)
+    {
+        return rule.length > 0;
+    });
+}
+
+function readIgnoreFile(dirPath, relativeDir, scanLimiter)
+{
+    var ignoreFilePath = dirPath + '/' + IGNORE_FILE;
+    return scanLimiter(function()
+    {
+        return fs.readFileAsync(ignoreFilePath, 'utf8');
+    }).
+    then(function(content)
+    {
+        return compileFilterRules(content.split(/\r?\n/), relativeDir);
+    }).
+    catch(function(err)
+    {
+        var code = (err.cause || err).code; //promisified calls wrap the fs error
+        if (code === 'ENOENT' || code === 'EISDIR') return []; //no ignore file in this folder
+        throw (err);
+    });
+}
+
+function compileFilterRules(lines, baseDir)
+{
+    var rules = [];
+    lines.forEach(function(line)
+    {
+        var pattern = line.replace(/\s+$/, '');
+        if (pattern.length < 1 || pattern[0] === '#') return;
+        var rule = {
+            include: false,
+            folderOnly: false,
+            baseDir: baseDir
+        };
+        if (pattern[0] === '!')
+        {
+            rule.include = true;
+            pattern = pattern.substring(1);
+        }
+        if (pattern[pattern.length - 1] === '/')
+        {
+            rule.folderOnly = true;
+            pattern = pattern.replace(/\/+$/, '');
+        }
+        // like gitignore, a pattern without a slash matches at any depth
+        if (pattern.indexOf('/') === -1)
+        {
+            pattern = '**/' + pattern;
+        }
+        rule.matcher = globToRegExp(pattern);
+        rules.push(rule);
+    });
+    return rules;
+}
+
+function isExcludedByRules(rules, relativePath, isFolder)
+{
+    var excluded = false;
+    // the last matching rule wins, so later rules and deeper ignore files override earlier ones
+    for (var ruleNr = 0; ruleNr < rules.length; ruleNr++)
+    {
+        var rule = rules[ruleNr];
+        if (rule.folderOnly && isFolder === false) continue;
+        var rulePath = relativePath;
+        if (rule.baseDir.length > 0)
+        {
+            if (relativePath.indexOf(rule.baseDir + '/') !== 0) continue;
+            rulePath = relativePath.substring(rule.baseDir.length + 1);
+        }
+        if (rule.matcher.test(rulePath))
+        {
+            excluded = rule.include === false;
+        }
+    }
+    return excluded;
+}
+
+function filterByRegex(fileList, regex, skippedList)
+{
+    if (regex === undefined || regex.length < 1)
+    {
+        return fileList;
+    }
+    var filter = new RegExp(regex); //no global flag, it keeps state between test calls
+    return filterList(fileList, skipReasons.EXCLUDE_REGEX, skippedList, function(file)
+    {
+        return filter.test(file.name) === false;
+    });
+}
+
+function getPendingFilesFromLists(sourceList, destinationList)
+{
+    var compareMode = getCompareMode();
+    var destinationIndex = indexFileList(destinationList);
+    var checksumLimiter = createTaskLimiter(getCopyConcurrency());
+    return promise.map(sourceList, function(sourceFile)
+    {
+        return promise.resolve(getPendingReason(sourceFile, destinationIndex[sourceFile.relativePath], compareMode, checksumLimiter)).
+        then(function(reason)
+        {
+            sourceFile.reason = reason;
+            return reason !== undefined;
+        });
+    }).
+    then(function(pending)
+    {
+        return sourceList.filter(function(sourceFile, fileNr)
+        {
+            return pending[fileNr];
+        });
+    });
+}
+
+function getPendingReason(sourceFile, destinationClone, compareMode, checksumLimiter)
+{
+    if (destinationClone === undefined)
+    {
+        return backupReasons.DEST_FILE_NOT_FOUND;
+    }
+    if (sourceFile.type === 'symlink' || destinationClone.type === 'symlink')
+    {
+        if (sourceFile.linkTarget !== destinationClone.linkTarget)
+        {
+            return backupReasons.LINK_TARGET_DIFFERS;
+        }
+        return metadataDiffers(sourceFile, destinationClone) ? backupReasons.METADATA_DIFFERS : undefined;
+    }
+    if (compareFilesByDate(sourceFile, destinationClone) === 1) //source is newer
+    {
+        return backupReasons.SRC_FILE_NEWER;
+    }
+    if (compareMode !== compareModes.MTIME && sourceFile.size !== destinationClone.size)
+    {
+        return backupReasons.SIZE_DIFFERS;
+    }
+    if (compareMode !== compareModes.CHECKSUM)
+    {
+        return metadataDiffers(sourceFile, destinationClone) ? backupReasons.METADATA_DIFFERS : undefined;
+    }
+    return checksumLimiter(function()
+    {
+        return compareFilesByChecksum(sourceFile, destinationClone);
+    }).
+    then(function(result)
+    {
+        if (result !== 0)
+        {
+            return backupReasons.CONTENT_DIFFERS;
+        }
+        return metadataDiffers(sourceFile, destinationClone) ? backupReasons.METADATA_DIFFERS : undefined;
+    });
+}
+
+function metadataDiffers(sourceFile, destinationFile)
+{
+    // archives and repositories only store the metadata of changed files
+    if (getDestinationFormat() !== destinationFormats.FILES)
+    {
+        return false;
+    }
+    if (destinationFile.mode !== undefined && sourceFile.type !== 'symlink' && sourceFile.mode !== destinationFile.mode)
+    {
+        return true;
+    }
+    return runningAsRoot() && destinationFile.uid !== undefined && (sourceFile.uid !== destinationFile.uid || sourceFile.gid !== destinationFile.gid);
+}
+
+function applyMetadata(targetPath, metadata)
+{
+    // ownership first, a chown clears the setuid and setgid bits
+    if (runningAsRoot() && metadata.uid !== undefined)
+    {
+        fs.lchownSync(targetPath, metadata.uid, metadata.gid);
+    }
+    if (metadata.symlink !== true && metadata.mode !== undefined)
+    {
+        fs.chmodSync(targetPath, metadata.mode & MODE_MASK);
+    }
+    fs.lutimesSync(targetPath, metadata.mtime, metadata.mtime);
+}
+
+function statsToMetadata(stats)
+{
+    return {
+        symlink: stats.isSymbolicLink(),
+        mode: stats.mode,
+        uid: stats.uid,
+        gid: stats.gid,
+        mtime: stats.mtime
+    };
+}
+
+function getBackupMetadata(stats)
+{
+    // the exact mode is kept in the catalog, it is restored from there
+    var metadata = statsToMetadata(stats);
+    metadata.mode = metadata.mode | FILE_WRITE_MODE;
+    return metadata;
+}
+
+function getRemovedFilesFromLists(sourceList, destinationList)
+{
+    var sourceIndex = indexFileList(sourceList);
+    var removedFilesList = [];
+    for (var fileNr in destinationList)
+    {
+        var destinationFile = destinationList[fileNr];
+        if (isReservedDiskPath(destinationFile.relativePath)) continue;
+        if (sourceIndex[destinationFile.relativePath] === undefined)
+        {
+            destinationFile.reason = backupReasons.SRC_FILE_NOT_FOUND;
+            removedFilesList.push(destinationFile);
+        }
+    }
+    return removedFilesList;
+}
+
+function isReservedDiskPath(relativePath)
+{
+    var topLevel = relativePath.split('/')[0];
+    return topLevel === DISK_SIGNATURE_FILE || topLevel === CATALOG_FILE || topLevel === CATALOG_FILE + '.tmp' ||
+        topLevel === ENCRYPTION_FILE || topLevel === SNAPSHOT_DIR || topLevel === ATTIC_DIR || topLevel === ARCHIVE_DIR ||
+        topLevel === REPOSITORY_DIR || topLevel === STATE_FILE || topLevel === STATE_FILE + '.tmp' || topLevel === RUN_JOURNAL_FILE ||
+        topLevel === LOCK_FILE;
+}
+
+function indexFileList(fileList)
+{
+    var index = Object.create(null); //no prototype, any file name is a safe key
+    for (var fileNr in fileList)
+    {
+        index[fileList[fileNr].relativePath] = fileList[fileNr];
+    }
+    return index;
+}
+
+function compareFilesByDate(fileA, fileB)
+{
+    var dateA = Date.parse(fileA.lastModified);
+    var dateB = Date.parse(fileB.lastModified);
+    if (dateA > dateB) return 1;
+    if (dateA === dateB) return 0;
+    if (dateA < dateB) return -1;
+}
+
+function getCompareMode()
+{
+    var compareMode = (config.compareMode || compareModes.MTIME).toLowerCase();
+    for (var mode in compareModes)
+    {
+        if (compareModes[mode] === compareMode) return compareMode;
+    }
+    throw ('Error: unknown compareMode \'' + config.compareMode + '\'');
+}
+
+function compareFilesByChecksum(fileA, fileB)
+{
+    // remember the hashes, they end up in the catalog
+    if (fileB.archive !== undefined && fileB.hash === undefined) //can't be read back cheaply, archive it again
+    {
+        return promise.resolve(1);
+    }
+    return promise.all([
+        fileA.hash || getStreamChecksum(fs.createReadStream(fileA.path)),
+        fileB.hash || getStreamChecksum(encryption !== undefined ? createDecryptStream(fileB.path) : fs.createReadStream(fileB.path))
+    ]).
+    spread(function(hashA, hashB)
+    {
+        fileA.hash = hashA;
+        fileB.hash = hashB;
+        return hashA === hashB ? 0 : 1;
+    });
+}
+
+function getStreamChecksum(readStream)
+{
+    return new promise(function(resolve, reject)
+    {
+        var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+        readStream.on('data', function(chunk)
+        {
+            hash.update(chunk);
+        });
+        readStream.on('error', reject);
+        readStream.on('end', function()
+        {
+            resolve(hash.digest('hex'));
+        });
+    });
+}
+
+function getFileChecksum(filePath)
+{
+    var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    var buffer = Buffer.alloc(CHECKSUM_BUFFER_SIZE);
+    var fd = fs.openSync(filePath, 'r');
+    try
+    {
+        var bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, CHECKSUM_BUFFER_SIZE, null)) > 0)
+        {
+            hash.update(buffer.slice(0, bytesRead));
+        }
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+}
+
+function getBackupFileChecksum(filePath)
+{
+    if (encryption === undefined)
+    {
+        return getFileChecksum(filePath);
+    }
+    var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    readEncryptedFile(filePath, function(chunk)
+    {
+        hash.update(chunk);
+    });
+    return hash.digest('hex');
+}
+
+function printTestModeBackupList(backupList)
+{
+    if (backupList.length < 1)
+    {
+        logger.info('There are no files to backup!');
+        return;
+    }
+    logger.info('Following files are different on source:\n');
+    backupList.forEach(function(file)
+    {
+        logger.info('    %s  %s  (%s)', formatBytes(file.size).padStart(10), file.relativePath, file.reason);
+    });
+    logger.info('\nRunning in test mode.\nThis is only a preview: files will not be backed up!');
+}
+
+function performBackup(fileList, backupRoot)
+{
+    if (fileList.length < 1)
+    {
+        logger.info('No files to backup!');
+        return promise.resolve();
+    }
+    logger.info('Performing backup...');
+    var overwriteCount = 0;
+    var copiedCount = 0;
+    var options = {
+        progress: createProgress(fileList),
+        rateLimiter: createRateLimiter(parseSize(config.rateLimit)),
+        computeHash: getCompareMode() === compareModes.CHECKSUM
+    };
+    var linkedFiles = fileList.filter(function(file)
+    {
+        return file.linkedTo !== undefined;
+    });
+    var copiedFiles = fileList.filter(function(file)
+    {
+        return file.linkedTo === undefined;
+    });
+    var backupEachFile = function(file, backupAction)
+    {
+        var backupPath = getBackupPath(backupRoot, file.relativePath);
+        return retryTransient(file.relativePath, function()
+        {
+            removeTempFile(backupPath);
+            return backupAction(file, backupPath);
+        }).
+        then(function(result)
+        {
+            if (file.reason === backupReasons.SRC_FILE_NEWER) overwriteCount++;
+            copiedCount++;
+            countCopiedFile(file, file.linkedTo === undefined ? result.stats.size : 0);
+            recordCatalogFile(file.relativePath, result.stats, result.hash, undefined, result.linkTarget);
+            recordJournalDone(file.relativePath);
+            options.progress.doneFiles++;
+            printProgress(options.progress, false);
+        }).
+        catch (function(err)
+        {
+            removeTempFile(backupPath);
+            handleFileFailure(file.relativePath, err);
+        });
+    };
+    return promise.map(copiedFiles, function(file)
+    {
+        return backupEachFile(file, function(file, backupPath)
+        {
+            return copyFileToBackup(file, backupPath, options);
+        });
+    },
+    {
+        concurrency: getCopyConcurrency()
+    }).
+    then(function()
+    {
+        // links are made once the file they point to has been copied
+        return promise.each(linkedFiles, function(file)
+        {
+            return backupEachFile(file, function(file, backupPath)
+            {
+                return linkFileInBackup(file, backupPath, getBackupPath(backupRoot, file.linkedTo), options);
+            });
+        });
+    }).
+    then(function()
+    {
+        printProgress(options.progress, true);
+        logger.info('Backup complete!');
+        logger.info('Backed up %s %s (Updated: %s, Failed: %s)', copiedCount, copiedCount === 1 ? 'file' : 'files', overwriteCount, fileList.length - copiedCount);
+    });
+}
+
+function copyFileToBackup(file, backupPath, options)
+{
+    var stats;
+    var linkTarget;
+    return fs.lstatAsync(file.path).
+    then(function(result)
+    {
+        stats = result;
+        if (file.reason === backupReasons.METADATA_DIFFERS && fs.existsSync(backupPath))
+        {
+            applyMetadata(backupPath, getBackupMetadata(stats));
+            return 'metadata';
+        }
+        if (stats.isSymbolicLink())
+        {
+            linkTarget = fs.readlinkSync(file.path);
+            fs.mkdirsSync(path.dirname(backupPath));
+            fs.symlinkSync(encryption !== undefined ? encryptString(linkTarget) : linkTarget, backupPath + TEMP_SUFFIX);
+            return;
+        }
+        // the old copy stays in place until the new one is complete
+        return streamToBackup(file.path, backupPath + TEMP_SUFFIX, stats, options.computeHash && file.hash === undefined, options.rateLimiter, options.progress);
+    }).
+    then(function(result)
+    {
+        var copy = {
+            stats: stats,
+            hash: file.hash,
+            linkTarget: linkTarget
+        };
+        if (result === 'metadata')
+        {
+            return copy;
+        }
+        if (copy.hash === undefined) copy.hash = result;
+        applyMetadata(backupPath + TEMP_SUFFIX, getBackupMetadata(stats));
+        return fs.renameAsync(backupPath + TEMP_SUFFIX, backupPath).
+        then(function()
+        {
+            return copy;
+        });
+    });
+}
+
+function linkFileInBackup(file, backupPath, linkedPath, options)
+{
+    if (fs.existsSync(linkedPath) === false)
+    {
+        // the first path was skipped or failed, keep a copy of its own instead
+        return copyFileToBackup(file, backupPath, options);
+    }
+    var stats = fs.lstatSync(file.path);
+    fs.mkdirsSync(path.dirname(backupPath));
+    fs.linkSync(linkedPath, backupPath + TEMP_SUFFIX);
+    fs.renameSync(backupPath + TEMP_SUFFIX, backupPath);
+    options.progress.doneBytes += stats.size;
+    var linkedEntry = catalog.entries[file.linkedTo];
+    return promise.resolve(
+    {
+        stats: stats,
+        hash: linkedEntry !== undefined ? linkedEntry.hash : undefined
+    });
+}
+
+function removeTempFile(backupPath)
+{
+    if (pathExists(backupPath + TEMP_SUFFIX))
+    {
+        fs.unlinkSync(backupPath + TEMP_SUFFIX);
+    }
+}
+
+function retryTransient(relativePath, action, attempt)
+{
+    attempt = attempt || 1;
+    return promise.try(action).
+    catch (function(err)
+    {
+        if (classifyError(err) !== failureTypes.IO || attempt >= FILE_RETRY_COUNT)
+        {
+            throw (err);
+        }
+        logger.info('Retrying %s after %s (attempt %s of %s)', relativePath, err.code, attempt + 1, FILE_RETRY_COUNT);
+        return promise.delay(FILE_RETRY_DELAY * attempt).
+        then(function()
+        {
+            return retryTransient(relativePath, action, attempt + 1);
+        });
+    });
+}
+
+function classifyError(err)
+{
+    switch (err.code)
+    {
+        case 'EACCES':
+        case 'EPERM':
+            return failureTypes.PERMISSION;
+        case 'ENOENT':
+            return failureTypes.MISSING;
+        case 'EIO':
+        case 'EBUSY':
+        case 'EAGAIN':
+        case 'ETIMEDOUT':
+        case 'ESTALE':
+            return failureTypes.IO;
+        case 'ENOSPC':
+        case 'EDQUOT':
+            return failureTypes.NO_SPACE;
+        case 'ENAMETOOLONG':
+            return failureTypes.NAME_TOO_LONG;
+        default:
+            return failureTypes.OTHER;
+    }
+}
+
+function recordFailure(relativePath, err)
+{
+    var failure = {
+        relativePath: relativePath,
+        type: classifyError(err),
+        message: err.message || String(err)
+    };
+    runFailures.push(failure);
+    logger.info('Failed: %s (%s)', relativePath, failure.message);
+    emitJobEvent('error', failure);
+    return failure;
+}
+
+function handleFileFailure(relativePath, err)
+{
+    var failure = recordFailure(relativePath, err);
+    if (failure.type === failureTypes.NO_SPACE)
+    {
+        throw (err); //every following file would fail the same way
+    }
+}
+
+function isBelowPaths(relativePath, parentPaths)
+{
+    return parentPaths.some(function(parentPath)
+    {
+        return relativePath === parentPath || relativePath.indexOf(parentPath + '/') === 0;
+    });
+}
+
+function getFailedPaths()
+{
+    var failedPaths = Object.create(null);
+    runFailures.forEach(function(failure)
+    {
+        failedPaths[failure.relativePath] = true;
+    });
+    return failedPaths;
+}
+
+function printFailureReport()
+{
+    if (runFailures.length < 1)
+    {
+        return;
+    }
+    logger.info('\nFailures (%s):', runFailures.length);
+    Object.keys(failureTypes).forEach(function(key)
+    {
+        var failures = runFailures.filter(function(failure)
+        {
+            return failure.type === failureTypes[key];
+        });
+        if (failures.length < 1) return;
+        logger.info('    %s (%s):', failureTypes[key], failures.length);
+        failures.forEach(function(failure)
+        {
+            logger.info('        %s: %s', failure.relativePath, failure.message);
+        });
+    });
+}
+
+function applyFolderMetadata(folderList, backupRoot)
+{
+    // deepest folders first, creating a folder changes the modification date of its parent
+    folderList.slice().sort(function(folderA, folderB)
+    {
+        return folderB.relativePath.length - folderA.relativePath.length;
+    }).forEach(function(folder)
+    {
+        var backupPath = getBackupPath(backupRoot, folder.relativePath);
+        fs.mkdirsSync(backupPath);
+        applyMetadata(backupPath,
+        {
+            mode: folder.mode | FOLDER_WRITE_MODE,
+            uid: folder.uid,
+            gid: folder.gid,
+            mtime: folder.lastModified
+        });
+        // the exact mode is kept in the catalog, it is restored from there
+        catalog.folders[folder.relativePath] = createFolderEntry(folder);
+    });
+}
+
+function createFolderEntry(folder)
+{
+    return {
+        relativePath: folder.relativePath,
+        folder: true,
+        mode: folder.mode,
+        uid: folder.uid,
+        gid: folder.gid,
+        lastModified: folder.lastModified.getTime()
+    };
+}
+
+function indexFolderEntries(folderEntries)
+{
+    var folders = Object.create(null);
+    folderEntries.forEach(function(entry)
+    {
+        folders[entry.relativePath] = entry;
+    });
+    return folders;
+}
+
+function foldersChanged(backupPlan)
+{
+    var sourcePaths = backupPlan.sourceFolders.map(function(folder)
+    {
+        return folder.relativePath;
+    }).sort();
+    return JSON.stringify(sourcePaths) !== JSON.stringify(Object.keys(catalog.folders).sort());
+}
+
+function streamToBackup(sourcePath, backupPath, stats, computeHash, rateLimiter, progress)
+{
+    fs.mkdirsSync(path.dirname(backupPath));
+    var hash = computeHash ? crypto.createHash(CHECKSUM_ALGORITHM) : undefined;
+    var monitor = new stream.Transform(
+    {
+        transform: function(chunk, encoding, callback)
+        {
+            if (hash !== undefined) hash.update(chunk);
+            progress.doneBytes += chunk.length;
+            printProgress(progress, false);
+            rateLimiter.wait(chunk.length, function()
+            {
+                callback(null, chunk);
+            });
+        }
+    });
+    var streams = [fs.createReadStream(sourcePath), monitor];
+    if (encryption !== undefined) streams.push(createEncryptStream());
+    streams.push(fs.createWriteStream(backupPath,
+    {
+        mode: stats.mode | FILE_WRITE_MODE
+    }));
+    return new promise(function(resolve, reject)
+    {
+        stream.pipeline(streams, function(err)
+        {
+            if (err) reject(err);
+            else resolve();
+        });
+    }).
+    then(function()
+    {
+        syncFile(backupPath);
+        return hash !== undefined ? hash.digest('hex') : undefined;
+    });
+}
+
+function createEncryptStream()
+{
+    var iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+    var cipher = crypto.createCipheriv(ENCRYPTION_CIPHER, encryption.contentKey, iv);
+    // this defines the layout of encrypted files: magic, iv, ciphertext, auth tag (see createDecryptStream)
+    return new stream.Transform(
+    {
+        construct: function(callback)
+        {
+            this.push(Buffer.concat([ENCRYPTION_MAGIC, iv]));
+            callback();
+        },
+        transform: function(chunk, encoding, callback)
+        {
+            callback(null, cipher.update(chunk));
+        },
+        flush: function(callback)
+        {
+            this.push(cipher.final());
+            this.push(cipher.getAuthTag());
+            callback();
+        }
+    });
+}
+
+function getCopyConcurrency()
+{
+    var concurrency = parseInt(config.copyConcurrency, 10);
+    return concurrency > 0 ? concurrency : DEFAULT_COPY_CONCURRENCY;
+}
+
+function createRateLimiter(bytesPerSecond)
+{
+    var started = Date.now();
+    var bytesAllowed = 0;
+    return {
+        // shared by all copies, so the limit holds for the run as a whole
+        wait: function(byteCount, callback)
+        {
+            if (isNaN(bytesPerSecond) || bytesPerSecond <= 0)
+            {
+                return callback();
+            }
+            bytesAllowed += byteCount;
+            var delay = started + bytesAllowed / bytesPerSecond * 1000 - Date.now();
+            if (delay > 0) setTimeout(callback, delay);
+            else callback();
+        }
+    };
+}
+
+function createProgress(fileList)
+{
+    return {
+        totalFiles: fileList.length,
+        totalBytes: fileList.reduce(function(total, file)
+        {
+            return total + (file.size || 0);
+        }, 0),
+        doneFiles: 0,
+        doneBytes: 0,
+        started: Date.now(),
+        lastPrinted: 0,
+        lastStep: 0
+    };
+}
+
+function printProgress(progress, finished)
+{
+    var now = Date.now();
+    var interactive = runningFromCli === false || process.stdout.isTTY === true;
+    var fraction = progress.totalBytes > 0 ? progress.doneBytes / progress.totalBytes : progress.doneFiles / progress.totalFiles;
+    var step = Math.floor(Math.min(fraction, 1) * 10);
+    // a terminal or a library user gets live updates, logs and mails only every 10%
+    if (finished === false && (interactive ? now - progress.lastPrinted < PROGRESS_INTERVAL : step <= progress.lastStep))
+    {
+        return;
+    }
+    progress.lastPrinted = now;
+    progress.lastStep = step;
+    var elapsed = Math.max(now - progress.started, 1);
+    var throughput = progress.doneBytes / elapsed * 1000;
+    var remaining = Math.max(progress.totalBytes - progress.doneBytes, 0);
+    var line = util.format('Progress: %s/%s files, %s/%s, %s/s, ETA %s', progress.doneFiles, progress.totalFiles,
+        formatBytes(progress.doneBytes), formatBytes(progress.totalBytes), formatBytes(Math.round(throughput)),
+        throughput > 0 ? formatDuration(remaining / throughput * 1000) : '--:--:--');
+    emitJobEvent('progress',
+    {
+        doneFiles: progress.doneFiles,
+        totalFiles: progress.totalFiles,
+        doneBytes: progress.doneBytes,
+        totalBytes: progress.totalBytes,
+        bytesPerSecond: Math.round(throughput),
+        finished: finished
+    });
+    if (runningFromCli === false)
+    {
+        return;
+    }
+    if (interactive)
+    {
+        process.stdout.write('\r' + line + '    ' + (finished ? '\n' : ''));
+    }
+    else if (finished === false)
+    {
+        logger.info(line);
+    }
+}
+
+function formatDuration(milliseconds)
+{
+    var seconds = Math.round(milliseconds / 1000);
+    return padNumber(Math.floor(seconds / 3600)) + ':' + padNumber(Math.floor(seconds / 60) % 60) + ':' + padNumber(seconds % 60);
+}
+
+function mirrorModeEnabled()
+{
+    //snapshots and repository runs already drop removed files
+    return optionEnabled(config.mirrorMode) && snapshotModeEnabled() === false && repositoryModeEnabled() === false;
+}
+
+function getMirrorAction()
+{
+    return (config.mirrorAction || mirrorActions.ATTIC).toLowerCase();
+}
+
+function getAtticRoot()
+{
+    return parseFileSystemDir(config.backupDestination) + '/' + ATTIC_DIR;
+}
+
+function performMirrorCleanup(fileList, backupRoot)
+{
+    if (fileList.length < 1)
+    {
+        return;
+    }
+    var atticPath = getAtticRoot() + '/' + getSnapshotName(new Date());
+    var moveToAttic = getMirrorAction() === mirrorActions.ATTIC;
+    logger.info(moveToAttic ? 'Moving removed files to the attic...' : 'Deleting removed files...');
+    for (var fileNr in fileList)
+    {
+        var file = fileList[fileNr];
+        if (moveToAttic)
+        {
+            var atticFilePath = getBackupPath(atticPath, file.relativePath);
+            fs.mkdirsSync(path.dirname(atticFilePath));
+            fs.renameSync(file.path, atticFilePath);
+        }
+        else
+        {
+            fs.unlinkSync(file.path);
+        }
+        recordCatalogRemoval(file.relativePath);
+        removeEmptyParents(path.dirname(file.path), backupRoot);
+        runStats.filesRemoved++;
+    }
+    logger.info('%s %s %s', moveToAttic ? 'Moved to attic:' : 'Deleted:', fileList.length, fileList.length === 1 ? 'file' : 'files');
+}
+
+function removeEmptyParents(dir, root)
+{
+    var rootPath = path.resolve(root);
+    var dirPath = path.resolve(dir);
+    while (dirPath !== rootPath && dirPath.indexOf(rootPath + path.sep) === 0 && extfs.isEmptySync(dirPath))
+    {
+        fs.rmdirSync(dirPath);
+        dirPath = path.dirname(dirPath);
+    }
+}
+
+function expireAttic(expiryDays)
+{
+    var atticRoot = getAtticRoot();
+    var maxAge = parseInt(expiryDays, 10);
+    if (isNaN(maxAge) || fs.existsSync(atticRoot) === false)
+    {
+        return;
+    }
+    var expiryDate = new Date();
+    expiryDate.setDate(expiryDate.getDate() - maxAge);
+    fs.readdirSync(atticRoot).forEach(function(name)
+    {
+        if (SNAPSHOT_NAME_REGEX.test(name) && parseSnapshotDate(name) < expiryDate)
+        {
+            logger.info('Removing expired attic folder ' + name);
+            fs.removeSync(atticRoot + '/' + name);
+        }
+    });
+}
+
+function checkFreeSpace(backupPlan, disk)
+{
+    var diskStats = fs.statfsSync(disk);
+    var freeSpace = diskStats.bavail * diskStats.bsize - FREE_SPACE_RESERVE;
+    var replacedFiles = getReplacedFilesIndex(backupPlan.destinationFiles);
+    var space = getRequiredSpace(backupPlan.pendingFiles, replacedFiles, diskStats.bsize);
+    var testMode = config.testMode.toUpperCase() === 'Y';
+    logger.info('Bytes to copy: %s, freed by overwritten files: %s, free on disk: %s', formatBytes(space.copied), formatBytes(space.freed), formatBytes(Math.max(freeSpace, 0)));
+    if (space.copied - space.freed <= freeSpace)
+    {
+        return;
+    }
+    var shortage = 'the backup needs ' + formatBytes(space.copied - space.freed) + ' but only ' + formatBytes(Math.max(freeSpace, 0)) + ' is free on the backup disk';
+    if (getSpaceShortageAction() !== spaceShortageActions.PARTIAL)
+    {
+        if (testMode)
+        {
+            logger.info('WARNING: ' + shortage + ', the backup would be aborted');
+            return;
+        }
+        throw ('Error: ' + shortage + '. Free up space, use a larger disk or set spaceShortageAction to partial');
+    }
+    logger.info('WARNING: ' + shortage + ', backing up the most recently modified files that fit');
+    // newest changes first, they are the least likely to exist in any other backup
+    var prioritizedFiles = backupPlan.pendingFiles.slice().sort(function(fileA, fileB)
+    {
+        return Date.parse(fileB.lastModified) - Date.parse(fileA.lastModified);
+    });
+    var fittingFiles = {};
+    var usedSpace = 0;
+    prioritizedFiles.forEach(function(file)
+    {
+        var fileSpace = getRequiredSpace([file], replacedFiles, diskStats.bsize);
+        if (usedSpace + fileSpace.copied - fileSpace.freed <= freeSpace)
+        {
+            usedSpace += fileSpace.copied - fileSpace.freed;
+            fittingFiles[file.relativePath] = true;
+        }
+    });
+    backupPlan.pendingFiles = filterList(backupPlan.pendingFiles, skipReasons.NO_SPACE, backupPlan.skippedFiles, function(file)
+    {
+        return fittingFiles[file.relativePath] === true;
+    });
+    logger.info('Files remaining after free space check: ' + backupPlan.pendingFiles.length);
+}
+
+function getReplacedFilesIndex(destinationFiles)
+{
+    // only a plain backup replaces files in place, other formats keep the previous version around
+    if (getDestinationFormat() !== destinationFormats.FILES || snapshotModeEnabled())
+    {
+        return Object.create(null);
+    }
+    return indexFileList(destinationFiles);
+}
+
+function getRequiredSpace(pendingFiles, replacedFiles, blockSize)
+{
+    var overhead = encryption !== undefined ? ENCRYPTION_OVERHEAD : 0;
+    var space = {
+        copied: 0,
+        freed: 0
+    };
+    pendingFiles.forEach(function(file)
+    {
+        space.copied += getAllocatedSize(file.size + overhead, blockSize);
+        var destinationFile = replacedFiles[file.relativePath];
+        if (destinationFile !== undefined)
+        {
+            space.freed += getAllocatedSize(destinationFile.size + overhead, blockSize);
+        }
+    });
+    return space;
+}
+
+function getAllocatedSize(size, blockSize)
+{
+    return Math.ceil(size / blockSize) * blockSize;
+}
+
+function getSpaceShortageAction()
+{
+    return (config.spaceShortageAction || spaceShortageActions.ABORT).toLowerCase();
+}
+
+function formatBytes(bytes)
+{
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    var unitNr = 0;
+    while (bytes >= 1024 && unitNr < units.length - 1)
+    {
+        bytes /= 1024;
+        unitNr++;
+    }
+    return (unitNr === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[unitNr];
+}
+
+function printTestModeSkippedList(skippedList)
+{
+    if (skippedList.length < 1)
+    {
+        return;
+    }
+    logger.info('Following files are skipped by a filter:\n');
+    skippedList.forEach(function(file)
+    {
+        logger.info('    %s (%s)', file.relativePath, file.skipReason);
+    });
+    logger.info('');
+}
+
+function printTestModeRemovedList(removedList)
+{
+    if (removedList.length < 1)
+    {
+        return;
+    }
+    var action = getMirrorAction() === mirrorActions.ATTIC ? 'moved to the attic' : 'deleted';
+    if (archiveModeEnabled()) action = 'dropped from the catalog';
+    logger.info('Following files no longer exist on source and would be ' + action + ':\n');
+    removedList.forEach(function(file)
+    {
+        logger.info('    %s  %s', formatBytes(file.size).padStart(10), file.relativePath);
+    });
+}
+
+function snapshotModeEnabled()
+{
+    return optionEnabled(config.snapshotMode);
+}
+
+function getSnapshotRoot()
+{
+    return parseFileSystemDir(config.backupDestination) + '/' + SNAPSHOT_DIR;
+}
+
+function listSnapshots()
+{
+    var snapshotRoot = getSnapshotRoot();
+    if (fs.existsSync(snapshotRoot) === false)
+    {
+        return [];
+    }
+    return fs.readdirSync(snapshotRoot).filter(function(name)
+    {
+        return SNAPSHOT_NAME_REGEX.test(name);
+    }).map(function(name)
+    {
+        return {
+            name: name,
+            path: snapshotRoot + '/' + name,
+            date: parseSnapshotDate(name)
+        };
+    }).sort(function(snapshotA, snapshotB)
+    {
+        return snapshotB.date - snapshotA.date; //newest first
+    });
+}
+
+function getLatestSnapshot()
+{
+    return listSnapshots()[0];
+}
+
+function getSnapshotName(date)
+{
+    return date.getFullYear() + '-' + padNumber(date.getMonth() + 1) + '-' + padNumber(date.getDate()) + '_' +
+        padNumber(date.getHours()) + padNumber(date.getMinutes()) + padNumber(date.getSeconds());
+}
+
+function parseSnapshotDate(name)
+{
+    var parts = SNAPSHOT_NAME_REGEX.exec(name);
+    return new Date(parts[1], parts[2] - 1, parts[3], parts[4], parts[5], parts[6]);
+}
+
+function padNumber(number)
+{
+    return (number < 10 ? '0' : '') + number;
+}
+
+function getUnchangedFiles(backupPlan)
+{
+    var sourcePaths = {};
+    var pendingPaths = {};
+    backupPlan.sourceFiles.forEach(function(file)
+    {
+        sourcePaths[file.relativePath] = true;
+    });
+    backupPlan.pendingFiles.forEach(function(file)
+    {
+        pendingPaths[file.relativePath] = true;
+    });
+    // files deleted from the source are not carried over into the new snapshot, unreadable ones keep their last version
+    return backupPlan.destinationFiles.filter(function(file)
+    {
+        if (isBelowPaths(file.relativePath, backupPlan.unreadablePaths || [])) return true;
+        return sourcePaths[file.relativePath] === true && pendingPaths[file.relativePath] !== true;
+    });
+}
+
+function snapshotIsUnchanged(backupPlan, unchangedFiles)
+{
+    return backupPlan.pendingFiles.length === 0 && unchangedFiles.length === backupPlan.destinationFiles.length && foldersChanged(backupPlan) === false;
+}
+
+function performSnapshotBackup(backupPlan, previousSnapshot)
+{
+    var unchangedFiles = getUnchangedFiles(backupPlan);
+    if (previousSnapshot !== undefined && snapshotIsUnchanged(backupPlan, unchangedFiles))
+    {
+        logger.info('No changes since snapshot ' + previousSnapshot.name + ', no new snapshot created');
+        writeCatalog(parseFileSystemDir(config.backupDestination), catalog);
+        pruneSnapshots(config.retention);
+        return;
+    }
+    var snapshotName = getSnapshotName(new Date());
+    var snapshotPath = getSnapshotRoot() + '/' + snapshotName;
+    if (fs.existsSync(snapshotPath))
+    {
+        throw ('Error: snapshot ' + snapshotName + ' already exists');
+    }
+    removePartialSnapshots();
+    // work in a partial folder so an interrupted run is never mistaken for a complete snapshot
+    var partialPath = snapshotPath + SNAPSHOT_PARTIAL_SUFFIX;
+    fs.mkdirsSync(partialPath);
+    logger.info('Creating snapshot ' + snapshotName + '...');
+    // the catalog keeps describing the previous snapshot until this one is complete
+    var previousCatalog = catalog;
+    catalog = createCatalog(snapshotName);
+    unchangedFiles.forEach(function(file)
+    {
+        catalog.entries[file.relativePath] = previousCatalog.entries[file.relativePath];
+    });
+    linkUnchangedFiles(unchangedFiles, partialPath);
+    return performBackup(backupPlan.pendingFiles, partialPath).
+    then(function()
+    {
+        // files that failed keep the version of the previous snapshot
+        var failedPaths = getFailedPaths();
+        var keptFiles = backupPlan.destinationFiles.filter(function(file)
+        {
+            return failedPaths[file.relativePath] === true;
+        });
+        keptFiles.forEach(function(file)
+        {
+            catalog.entries[file.relativePath] = previousCatalog.entries[file.relativePath];
+        });
+        linkUnchangedFiles(keptFiles, partialPath);
+        applyFolderMetadata(backupPlan.sourceFolders, partialPath);
+        fs.renameSync(partialPath, snapshotPath);
+        writeCatalog(parseFileSystemDir(config.backupDestination), catalog);
+        logger.info('Snapshot %s complete (Linked: %s, Copied: %s)', snapshotName, unchangedFiles.length, backupPlan.pendingFiles.length);
+        pruneSnapshots(config.retention);
+    });
+}
+
+function linkUnchangedFiles(fileList, snapshotPath)
+{
+    var copyCount = 0;
+    for (var fileNr in fileList)
+    {
+        var file = fileList[fileNr];
+        var linkPath = getBackupPath(snapshotPath, file.relativePath);
+        fs.mkdirsSync(path.dirname(linkPath));
+        try
+        {
+            fs.linkSync(file.path, linkPath);
+        }
+        catch (err)
+        {
+            if (err.code !== 'EPERM' && err.code !== 'ENOTSUP' && err.code !== 'EMLINK')
+            {
+                throw (err);
+            }
+            // file system without (enough) hard links, fall back to a full copy
+            var stats = fs.lstatSync(file.path);
+            if (stats.isSymbolicLink()) fs.symlinkSync(fs.readlinkSync(file.path), linkPath);
+            else fs.copySync(file.path, linkPath);
+            applyMetadata(linkPath, getBackupMetadata(stats));
+            copyCount++;
+        }
+    }
+    if (copyCount > 0)
+    {
+        logger.info('Warning: hard links not supported, %s unchanged %s copied instead', copyCount, copyCount === 1 ? 'file was' : 'files were');
+    }
+}
+
+function removePartialSnapshots()
+{
+    var snapshotRoot = getSnapshotRoot();
+    if (fs.existsSync(snapshotRoot) === false)
+    {
+        return;
+    }
+    fs.readdirSync(snapshotRoot).forEach(function(name)
+    {
+        var snapshotName = name.slice(0, -SNAPSHOT_PARTIAL_SUFFIX.length);
+        if (name.slice(-SNAPSHOT_PARTIAL_SUFFIX.length) === SNAPSHOT_PARTIAL_SUFFIX && SNAPSHOT_NAME_REGEX.test(snapshotName))
+        {
+            logger.info('Removing incomplete snapshot ' + snapshotName);
+            fs.removeSync(snapshotRoot + '/' + name);
+        }
+    });
+}
+
+function getSnapshotsToPrune(snapshots, retention)
+{
+    if (retention === undefined || Object.keys(retention).length < 1) // no retention policy, keep everything
+    {
+        return [];
+    }
+    var periodKeys = {
+        daily: getDayKey,
+        weekly: getWeekKey,
+        monthly: getMonthKey
+    };
+    var keep = {};
+    if (snapshots.length > 0)
+    {
+        keep[snapshots[0].name] = true; //never prune the newest snapshot
+    }
+    for (var period in periodKeys)
+    {
+        if (retention[period] === undefined) continue;
+        var seenKeys = [];
+        for (var snapshotNr = 0; snapshotNr < snapshots.length; snapshotNr++)
+        {
+            var snapshot = snapshots[snapshotNr];
+            var key = periodKeys[period](snapshot.date);
+            if (seenKeys.indexOf(key) !== -1) continue;
+            if (seenKeys.length >= retention[period]) break;
+            seenKeys.push(key); // newest snapshot of each period is kept
+            keep[snapshot.name] = true;
+        }
+    }
+    return snapshots.filter(function(snapshot)
+    {
+        return keep[snapshot.name] !== true;
+    });
+}
+
+function getDayKey(date)
+{
+    return date.getFullYear() + '-' + padNumber(date.getMonth() + 1) + '-' + padNumber(date.getDate());
+}
+
+function getWeekKey(date)
+{
+    var daysSinceMonday = (date.getDay() + 6) % 7;
+    return getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday));
+}
+
+function getMonthKey(date)
+{
+    return date.getFullYear() + '-' + padNumber(date.getMonth() + 1);
+}
+
+function pruneSnapshots(retention)
+{
+    var prunableSnapshots = getSnapshotsToPrune(listSnapshots(), retention);
+    for (var snapshotNr = 0; snapshotNr < prunableSnapshots.length; snapshotNr++)
+    {
+        var snapshot = prunableSnapshots[snapshotNr];
+        logger.info('Pruning snapshot ' + snapshot.name);
+        fs.removeSync(snapshot.path);
+    }
+    if (prunableSnapshots.length > 0)
+    {
+        logger.info('Pruned %s %s', prunableSnapshots.length, prunableSnapshots.length === 1 ? 'snapshot' : 'snapshots');
+    }
+}
+
+function printTestModeSnapshotPlan(backupPlan, previousSnapshot)
+{
+    var unchangedFiles = getUnchangedFiles(backupPlan);
+    if (previousSnapshot === undefined)
+    {
+        logger.info('Snapshot mode: no previous snapshot found, a full snapshot would be created');
+    }
+    else if (snapshotIsUnchanged(backupPlan, unchangedFiles))
+    {
+        logger.info('Snapshot mode: no changes since snapshot ' + previousSnapshot.name + ', no new snapshot would be created');
+    }
+    else
+    {
+        logger.info('Snapshot mode: %s unchanged %s would be hard-linked from snapshot %s', unchangedFiles.length, unchangedFiles.length === 1 ? 'file' : 'files', previousSnapshot.name);
+    }
+    var prunableSnapshots = getSnapshotsToPrune(listSnapshots(), config.retention);
+    for (var snapshotNr = 0; snapshotNr < prunableSnapshots.length; snapshotNr++)
+    {
+        logger.info('Snapshot ' + prunableSnapshots[snapshotNr].name + ' would be pruned');
+    }
+}
+
+function createCatalog(snapshotName, format)
+{
+    return {
+        snapshot: snapshotName || null,
+        format: format || destinationFormats.FILES,
+        entries: Object.create(null),
+        folders: Object.create(null)
+    };
+}
+
+function loadCatalog(disk)
+{
+    var catalogPath = disk + '/' + CATALOG_FILE;
+    if (fs.existsSync(catalogPath) === false)
+    {
+        return undefined;
+    }
+    try
+    {
+        var lines = fs.readFileSync(catalogPath, 'utf8').split('\n');
+        var header = JSON.parse(lines[0]);
+        if (header.catalogVersion !== CATALOG_VERSION)
+        {
+            logger.info('Catalog version ' + header.catalogVersion + ' is not supported');
+            return undefined;
+        }
+        if (header.encrypted === true && encryption === undefined)
+        {
+            logger.info('Catalog is encrypted but encryption is not enabled');
+            return undefined;
+        }
+        var loadedCatalog = createCatalog(header.snapshot, header.format);
+        for (var lineNr = 1; lineNr < lines.length; lineNr++)
+        {
+            if (lines[lineNr].length < 1) continue;
+            var entry;
+            try
+            {
+                entry = header.encrypted === true ? JSON.parse(decryptString(lines[lineNr])) : JSON.parse(lines[lineNr]);
+            }
+            catch (err)
+            {
+                if (lineNr === lines.length - 1) break; //last update was cut off, the copy itself is redone
+                throw (err);
+            }
+            if (entry.folder === true) loadedCatalog.folders[entry.relativePath] = entry;
+            else if (entry.removed === true) delete loadedCatalog.entries[entry.relativePath];
+            else loadedCatalog.entries[entry.relativePath] = entry;
+        }
+        return loadedCatalog;
+    }
+    catch (err)
+    {
+        logger.info('Error reading catalog: ' + err);
+        return undefined;
+    }
+}
+
+function loadOrBuildCatalog(backupRoot, snapshotName)
+{
+    var disk = parseFileSystemDir(config.backupDestination);
+    var testMode = config.testMode.toUpperCase() === 'Y';
+    if (backupRoot === undefined) // first snapshot, nothing to compare with
+    {
+        catalog = createCatalog(snapshotName);
+        return promise.resolve();
+    }
+    if (argv['rebuild-catalog'] !== true)
+    {
+        catalog = loadCatalog(disk);
+        if (catalog !== undefined && catalog.snapshot !== (snapshotName || null))
+        {
+            logger.info('Catalog does not match the latest snapshot');
+            catalog = undefined;
+        }
+        else if (catalog !== undefined && catalog.format !== getDestinationFormat())
+        {
+            logger.info('Catalog does not match the destination format');
+            catalog = undefined;
+        }
+    }
+    var catalogReady;
+    if (catalog !== undefined)
+    {
+        var fileCount = Object.keys(catalog.entries).length;
+        logger.info('Catalog loaded: %s %s', fileCount, fileCount === 1 ? 'file' : 'files');
+        catalogReady = promise.resolve();
+    }
+    else
+    {
+        logger.info('Building catalog from backup disk...');
+        catalogReady = buildCatalogFromDisk(backupRoot, snapshotName).
+        then(function(builtCatalog)
+        {
+            catalog = builtCatalog;
+            if (testMode === false) writeCatalog(disk, catalog);
+        });
+    }
+    return catalogReady.
+    then(function()
+    {
+        // only a plain backup updates the disk in place, snapshots and repository runs write their catalog once complete
+        if (testMode === false && snapshotModeEnabled() === false && repositoryModeEnabled() === false)
+        {
+            catalog.journalPath = disk + '/' + CATALOG_FILE;
+        }
+    });
+}
+
+function buildCatalogFromDisk(backupRoot, snapshotName)
+{
+    if (archiveModeEnabled())
+    {
+        return promise.resolve(buildCatalogFromArchiveIndexes());
+    }
+    if (repositoryModeEnabled())
+    {
+        return promise.resolve(buildCatalogFromManifest(snapshotName));
+    }
+    return getBackupFileList(backupRoot).
+    then(function(backupFileList)
+    {
+        var builtCatalog = createCatalog(snapshotName);
+        backupFileList.forEach(function(file)
+        {
+            builtCatalog.entries[file.relativePath] = {
+                relativePath: file.relativePath,
+                size: file.size,
+                lastModified: file.lastModified.getTime(),
+                mode: file.mode
+            };
+            if (file.type === 'symlink') builtCatalog.entries[file.relativePath].linkTarget = file.linkTarget;
+        });
+        return builtCatalog;
+    });
+}
+
+function catalogToFileList(fileCatalog, backupRoot)
+{
+    return Object.keys(fileCatalog.entries).map(function(relativePath)
+    {
+        var entry = fileCatalog.entries[relativePath];
+        return {
+            path: entry.archive !== undefined ? getArchivePath(entry.archive) : getBackupPath(backupRoot, relativePath),
+            relativePath: relativePath,
+            name: path.basename(relativePath),
+            lastModified: new Date(entry.lastModified),
+            size: entry.size,
+            hash: entry.hash,
+            archive: entry.archive,
+            chunks: entry.chunks,
+            mode: entry.mode,
+            uid: entry.uid,
+            gid: entry.gid,
+            linkTarget: entry.linkTarget,
+            type: entry.linkTarget !== undefined ? 'symlink' : 'file'
+        };
+    });
+}
+
+function updateCatalogHashes(fileList)
+{
+    // hashes computed while comparing are kept, so the next run doesn't have to read these files again
+    fileList.forEach(function(file)
+    {
+        var entry = catalog.entries[file.relativePath];
+        if (file.hash !== undefined && entry !== undefined) entry.hash = file.hash;
+    });
+}
+
+function recordCatalogFile(relativePath, stats, hash, archiveName, linkTarget)
+{
+    var entry = {
+        relativePath: relativePath,
+        size: stats.size,
+        lastModified: stats.mtime.getTime()
+    };
+    if (stats.mode !== undefined)
+    {
+        entry.mode = stats.mode & MODE_MASK;
+        entry.uid = stats.uid;
+        entry.gid = stats.gid;
+    }
+    if (hash !== undefined) entry.hash = hash;
+    if (archiveName !== undefined) entry.archive = archiveName;
+    if (linkTarget !== undefined) entry.linkTarget = linkTarget;
+    catalog.entries[relativePath] = entry;
+    if (catalog.journalPath !== undefined)
+    {
+        fs.appendFileSync(catalog.journalPath, encodeCatalogLine(entry) + '\n');
+    }
+}
+
+function recordCatalogRemoval(relativePath)
+{
+    delete catalog.entries[relativePath];
+    if (catalog.journalPath !== undefined)
+    {
+        fs.appendFileSync(catalog.journalPath, encodeCatalogLine(
+        {
+            relativePath: relativePath,
+            removed: true
+        }) + '\n');
+    }
+}
+
+function writeCatalog(disk, fileCatalog)
+{
+    var catalogPath = disk + '/' + CATALOG_FILE;
+    var lines = [JSON.stringify(
+    {
+        catalogVersion: CATALOG_VERSION,
+        snapshot: fileCatalog.snapshot,
+        format: fileCatalog.format,
+        encrypted: encryption !== undefined
+    })];
+    for (var relativePath in fileCatalog.entries)
+    {
+        lines.push(encodeCatalogLine(fileCatalog.entries[relativePath]));
+    }
+    for (var folderPath in fileCatalog.folders)
+    {
+        lines.push(encodeCatalogLine(fileCatalog.folders[folderPath]));
+    }
+    // write next to the old catalog first, so a crash never leaves a half written catalog
+    fs.writeFileSync(catalogPath + '.tmp', lines.join('\n') + '\n');
+    fs.renameSync(catalogPath + '.tmp', catalogPath);
+}
+
+function encodeCatalogLine(entry)
+{
+    return encryption === undefined ? JSON.stringify(entry) : encryptString(JSON.stringify(entry));
+}
+
+function startRunJournal(disk, fileList, started, partial)
+{
+    var journalPath = disk + '/' + RUN_JOURNAL_FILE;
+    var lines = [JSON.stringify(
+    {
+        journalVersion: RUN_JOURNAL_VERSION,
+        job: config.name,
+        started: started,
+        partial: partial, //files were left out for space, resuming won't make the run complete
+        encrypted: encryption !== undefined
+    })];
+    fileList.forEach(function(file)
+    {
+        lines.push(encodeCatalogLine(
+        {
+            path: file.path,
+            relativePath: file.relativePath,
+            lastModified: Date.parse(file.lastModified),
+            size: file.size,
+            reason: file.reason,
+            hash: file.hash,
+            linkedTo: file.linkedTo
+        }));
+    });
+    fs.writeFileSync(journalPath, lines.join('\n') + '\n');
+    runJournal = {
+        path: journalPath
+    };
+}
+
+function recordJournalDone(relativePath)
+{
+    if (runJournal === undefined)
+    {
+        return;
+    }
+    fs.appendFileSync(runJournal.path, encodeCatalogLine(
+    {
+        relativePath: relativePath,
+        done: true
+    }) + '\n');
+}
+
+function finishRunJournal()
+{
+    if (runJournal === undefined)
+    {
+        return;
+    }
+    fs.unlinkSync(runJournal.path);
+    runJournal = undefined;
+}
+
+function readRunJournal(disk)
+{
+    var journalPath = disk + '/' + RUN_JOURNAL_FILE;
+    if (fs.existsSync(journalPath) === false)
+    {
+        return undefined;
+    }
+    var lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    var journal = {
+        path: journalPath,
+        pendingFiles: []
+    };
+    var doneFiles = Object.create(null);
+    try
+    {
+        journal.header = JSON.parse(lines[0]);
+        if (journal.header.journalVersion !== RUN_JOURNAL_VERSION || journal.header.encrypted !== (encryption !== undefined))
+        {
+            logger.info('The run journal on the disk can\'t be read, ignoring it');
+            journal.header = undefined;
+            return journal;
+        }
+        for (var lineNr = 1; lineNr < lines.length; lineNr++)
+        {
+            if (lines[lineNr].length < 1) continue;
+            var entry;
+            try
+            {
+                entry = JSON.parse(encryption !== undefined ? decryptString(lines[lineNr]) : lines[lineNr]);
+            }
+            catch (err)
+            {
+                if (lineNr === lines.length - 1) break; //cut off while the run was interrupted
+                throw (err);
+            }
+            if (entry.done === true) doneFiles[entry.relativePath] = true;
+            else journal.pendingFiles.push(entry);
+        }
+    }
+    catch (err)
+    {
+        logger.info('Error reading the run journal: ' + err);
+        journal.header = undefined;
+        journal.pendingFiles = [];
+        return journal;
+    }
+    journal.pendingFiles = journal.pendingFiles.filter(function(entry)
+    {
+        return doneFiles[entry.relativePath] !== true;
+    }).map(function(entry)
+    {
+        return {
+            path: entry.path,
+            relativePath: entry.relativePath,
+            name: path.basename(entry.relativePath),
+            lastModified: new Date(entry.lastModified),
+            size: entry.size,
+            type: 'file',
+            reason: entry.reason,
+            hash: entry.hash,
+            linkedTo: entry.linkedTo
+        };
+    });
+    return journal;
+}
+
+function recoverInterruptedRun(disk)
+{
+    var journal = readRunJournal(disk);
+    if (journal === undefined)
+    {
+        return undefined;
+    }
+    logger.info('The previous run was interrupted with %s %s left to copy', journal.pendingFiles.length, journal.pendingFiles.length === 1 ? 'file' : 'files');
+    // temp files can only exist for files that were not completed
+    var removedCount = 0;
+    journal.pendingFiles.forEach(function(file)
+    {
+        var tempPath = getBackupPath(disk, file.relativePath) + TEMP_SUFFIX;
+        if (fs.existsSync(tempPath))
+        {
+            fs.unlinkSync(tempPath);
+            removedCount++;
+        }
+    });
+    if (removedCount > 0)
+    {
+        logger.info('Removed %s unfinished %s', removedCount, removedCount === 1 ? 'copy' : 'copies');
+    }
+    fs.unlinkSync(journal.path);
+    return journal.header !== undefined ? journal : undefined;
+}
+
+function getBackupFileList(backupRoot)
+{
+    return getFileTree(backupRoot, backupRoot).
+    then(function(backupTree)
+    {
+        return getBackupFiles(flattenFileTree(backupTree));
+    });
+}
+
+function getBackupFiles(fileList)
+{
+    return fileList.filter(function(file)
+    {
+        return isReservedDiskPath(file.relativePath) === false;
+    }).map(function(file)
+    {
+        if (encryption !== undefined)
+        {
+            // names that can't be decrypted are kept as they are, they don't belong to this backup
+            file.relativePath = decryptRelativePath(file.relativePath) || file.relativePath;
+            file.name = path.basename(file.relativePath);
+            if (file.type === 'symlink')
+            {
+                file.linkTarget = decryptString(file.linkTarget);
+                file.size = Buffer.byteLength(file.linkTarget);
+            }
+            else
+            {
+                file.size = Math.max(file.size - ENCRYPTION_OVERHEAD, 0);
+            }
+        }
+        return file;
+    });
+}
+
+function getBackupPath(backupRoot, relativePath)
+{
+    return backupRoot + '/' + encryptRelativePath(relativePath);
+}
+
+function encryptionModeEnabled()
+{
+    return optionEnabled(config.encryptionMode);
+}
+
+function getEncryptionPassphrase()
+{
+    if (process.env[ENCRYPTION_PASSPHRASE_ENV])
+    {
+        return process.env[ENCRYPTION_PASSPHRASE_ENV];
+    }
+    var keyFile = argv['key-file'] || config.encryptionKeyFile;
+    if (keyFile !== undefined)
+    {
+        return readCredentialsFile(keyFile, 'the encryption passphrase');
+    }
+    if (config.encryptionPassphrase !== undefined && config.encryptionPassphrase.length > 0)
+    {
+        return resolveSecret(config.encryptionPassphrase, 'encryptionPassphrase');
+    }
+    throw ('Error: no encryption passphrase found. Set ' + ENCRYPTION_PASSPHRASE_ENV + ', use --key-file or add it to the config');
+}
+
+function initEncryption(disk, createIfMissing)
+{
+    var headerPath = disk + '/' + ENCRYPTION_FILE;
+    if (fs.existsSync(headerPath) === false)
+    {
+        if (createIfMissing === false || encryptionModeEnabled() === false)
+        {
+            return;
+        }
+        var diskContents = fs.readdirSync(disk).filter(function(name)
+        {
+            return name !== DISK_SIGNATURE_FILE && name !== LOCK_FILE;
+        });
+        if (diskContents.length > 0)
+        {
+            throw ('Error: backup disk already holds an unencrypted backup, use a new disk or erase it to enable encryption');
+        }
+        createEncryptionHeader(headerPath);
+        logger.info('Backup disk is now encrypted');
+        return;
+    }
+    if (createIfMissing === true && encryptionModeEnabled() === false)
+    {
+        throw ('Error: backup disk is encrypted, enable encryptionMode in the config to use it');
+    }
+    unlockEncryption(JSON.parse(fs.readFileSync(headerPath, 'utf8')));
+    logger.info('Encrypted backup disk unlocked');
+}
+
+function createEncryptionHeader(headerPath)
+{
+    var header = {
+        encryptionVersion: ENCRYPTION_VERSION,
+        cipher: ENCRYPTION_CIPHER,
+        kdf: 'scrypt',
+        salt: crypto.randomBytes(32).toString('hex'),
+        N: SCRYPT_PARAMS.N,
+        r: SCRYPT_PARAMS.r,
+        p: SCRYPT_PARAMS.p,
+        encryptFileNames: optionEnabled(config.encryptFileNames)
+    };
+    unlockEncryption(header);
+    header.check = encryptString(LOG_PREFIX); //known value to detect a wrong passphrase
+    fs.writeFileSync(headerPath, JSON.stringify(header, undefined, 2));
+}
+
+function unlockEncryption(header)
+{
+    if (header.encryptionVersion !== ENCRYPTION_VERSION || header.cipher !== ENCRYPTION_CIPHER)
+    {
+        throw ('Error: unsupported encryption on backup disk');
+    }
+    var masterKey = crypto.scryptSync(getEncryptionPassphrase(), Buffer.from(header.salt, 'hex'), 32,
+    {
+        N: header.N,
+        r: header.r,
+        p: header.p,
+        maxmem: 256 * header.N * header.r
+    });
+    var deriveKey = function(purpose)
+    {
+        return crypto.createHmac('sha256', masterKey).update(LOG_PREFIX + '-' + purpose).digest();
+    };
+    encryption = {
+        contentKey: deriveKey('content'),
+        nameKey: deriveKey('names'),
+        nameIvKey: deriveKey('name-iv'),
+        chunkIdKey: deriveKey('chunk-id'),
+        encryptFileNames: header.encryptFileNames === true
+    };
+    if (header.check !== undefined)
+    {
+        try
+        {
+            decryptString(header.check);
+        }
+        catch (err)
+        {
+            encryption = undefined;
+            throw ('Error: wrong encryption passphrase');
+        }
+    }
+}
+
+function encryptBuffer(plainBuffer, key, iv)
+{
+    var cipher = crypto.createCipheriv(ENCRYPTION_CIPHER, key, iv);
+    return Buffer.concat([iv, cipher.update(plainBuffer), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decryptBuffer(encryptedBuffer, key)
+{
+    var iv = encryptedBuffer.slice(0, ENCRYPTION_IV_LENGTH);
+    var tag = encryptedBuffer.slice(encryptedBuffer.length - ENCRYPTION_TAG_LENGTH);
+    var decipher = crypto.createDecipheriv(ENCRYPTION_CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encryptedBuffer.slice(ENCRYPTION_IV_LENGTH, encryptedBuffer.length - ENCRYPTION_TAG_LENGTH)), decipher.final()]);
+}
+
+function encryptString(text)
+{
+    return encryptBuffer(Buffer.from(text, 'utf8'), encryption.contentKey, crypto.randomBytes(ENCRYPTION_IV_LENGTH)).toString('base64');
+}
+
+function decryptString(text)
+{
+    return decryptBuffer(Buffer.from(text, 'base64'), encryption.contentKey).toString('utf8');
+}
+
+function encryptRelativePath(relativePath)
+{
+    if (encryption === undefined || encryption.encryptFileNames === false)
+    {
+        return relativePath;
+    }
+    return relativePath.split('/').map(function(name)
+    {
+        // the iv is derived from the name, so the same name always maps to the same encrypted name
+        var iv = crypto.createHmac('sha256', encryption.nameIvKey).update(name).digest().slice(0, ENCRYPTION_IV_LENGTH);
+        return encryptBuffer(Buffer.from(name, 'utf8'), encryption.nameKey, iv).toString('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }).join('/');
+}
+
+function decryptRelativePath(encryptedPath)
+{
+    if (encryption.encryptFileNames === false)
+    {
+        return encryptedPath;
+    }
+    try
+    {
+        return encryptedPath.split('/').map(function(encryptedName)
+        {
+            var encryptedBuffer = Buffer.from(encryptedName.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+            return decryptBuffer(encryptedBuffer, encryption.nameKey).toString('utf8');
+        }).join('/');
+    }
+    catch (err)
+    {
+        return undefined;
+    }
+}
+
+function copyFromBackup(backupPath, targetPath)
+{
+    if (encryption === undefined)
+    {
+        fs.copySync(backupPath, targetPath);
+        return;
+    }
+    fs.mkdirsSync(path.dirname(targetPath));
+    var targetFd = fs.openSync(targetPath, 'w');
+    try
+    {
+        readEncryptedFile(backupPath, function(chunk)
+        {
+            writeBuffer(targetFd, chunk);
+        });
+    }
+    catch (err)
+    {
+        fs.closeSync(targetFd);
+        fs.unlinkSync(targetPath); //never leave unauthenticated data behind
+        throw (err);
+    }
+    fs.closeSync(targetFd);
+}
+
+function readEncryptedFile(filePath, onChunk)
+{
+    var fd = fs.openSync(filePath, 'r');
+    try
+    {
+        var size = fs.fstatSync(fd).size;
+        var header = Buffer.alloc(ENCRYPTION_MAGIC.length + ENCRYPTION_IV_LENGTH);
+        var tag = Buffer.alloc(ENCRYPTION_TAG_LENGTH);
+        if (size < ENCRYPTION_OVERHEAD || fs.readSync(fd, header, 0, header.length, 0) !== header.length ||
+            header.slice(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC) === false)
+        {
+            throw ('Error: ' + filePath + ' is not an encrypted backup file');
+        }
+        fs.readSync(fd, tag, 0, ENCRYPTION_TAG_LENGTH, size - ENCRYPTION_TAG_LENGTH);
+        var decipher = crypto.createDecipheriv(ENCRYPTION_CIPHER, encryption.contentKey, header.slice(ENCRYPTION_MAGIC.length));
+        decipher.setAuthTag(tag);
+        var buffer = Buffer.alloc(CHECKSUM_BUFFER_SIZE);
+        var position = header.length;
+        var end = size - ENCRYPTION_TAG_LENGTH;
+        while (position < end)
+        {
+            var bytesRead = fs.readSync(fd, buffer, 0, Math.min(CHECKSUM_BUFFER_SIZE, end - position), position);
+            if (bytesRead < 1) break;
+            onChunk(decipher.update(buffer.slice(0, bytesRead)));
+            position += bytesRead;
+        }
+        onChunk(decipher.final()); //throws when the file was tampered with or damaged
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+}
+
+function syncFile(filePath)
+{
+    // make sure the data is on the disk before the file is renamed into place
+    var fd = fs.openSync(filePath, 'r+');
+    try
+    {
+        fs.fsyncSync(fd);
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+}
+
+function syncFolder(folderPath)
+{
+    // a rename is only durable once the folder holding the new name is synced
+    if (process.platform === 'win32') return; //folders can't be opened for syncing there
+    var fd = fs.openSync(folderPath, 'r');
+    try
+    {
+        fs.fsyncSync(fd);
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+}
+
+function writeBuffer(fd, buffer)
+{
+    var offset = 0;
+    while (offset < buffer.length)
+    {
+        offset += fs.writeSync(fd, buffer, offset, buffer.length - offset);
+    }
+}
+
+function archiveModeEnabled()
+{
+    return getDestinationFormat() === destinationFormats.ARCHIVE;
+}
+
+function getDestinationFormat()
+{
+    var format = (config.destinationFormat || destinationFormats.FILES).toLowerCase();
+    if (format !== destinationFormats.FILES && format !== destinationFormats.ARCHIVE && format !== destinationFormats.REPOSITORY)
+    {
+        throw ('Error: unknown destinationFormat \'' + config.destinationFormat + '\'');
+    }
+    return format;
+}
+
+function getArchiveRoot()
+{
+    return parseFileSystemDir(config.backupDestination) + '/' + ARCHIVE_DIR;
+}
+
+function getArchivePath(archiveName)
+{
+    return getArchiveRoot() + '/' + archiveName + ARCHIVE_EXTENSION;
+}
+
+function performArchiveBackup(backupPlan)
+{
+    var fileList = backupPlan.pendingFiles;
+    var removedList = backupPlan.removedFiles;
+    if (fileList.length < 1 && removedList.length < 1 && foldersChanged(backupPlan) === false)
+    {
+        logger.info('No files to backup!');
+        return;
+    }
+    var archiveName = getSnapshotName(new Date());
+    var archivePath = getArchivePath(archiveName);
+    if (fs.existsSync(archivePath))
+    {
+        throw ('Error: archive ' + archiveName + ' already exists');
+    }
+    var index = {
+        archive: archiveName,
+        files: [],
+        removed: removedList.map(function(file)
+        {
+            return file.relativePath;
+        }),
+        folders: backupPlan.sourceFolders.map(createFolderEntry) //archives only hold files, empty folders are restored from here
+    };
+    var overwriteCount = 0;
+    // tar stops at the first unreadable file, so those are left out up front
+    fileList = fileList.filter(function(file)
+    {
+        try
+        {
+            if (file.type !== 'symlink') fs.accessSync(file.path, nodeFs.constants.R_OK);
+            return true;
+        }
+        catch (err)
+        {
+            handleFileFailure(file.relativePath, err);
+            return false;
+        }
+    });
+    fileList.forEach(function(file)
+    {
+        if (file.reason !== backupReasons.DEST_FILE_NOT_FOUND) overwriteCount++;
+    });
+    fs.mkdirsSync(getArchiveRoot());
+    if (fileList.length > 0)
+    {
+        logger.info('Writing archive ' + archiveName + '...');
+    }
+    return promise.resolve(fileList.length > 0 ? writeArchive(archivePath, fileList) : []).
+    then(function(archivedFiles)
+    {
+        archivedFiles.forEach(function(archivedFile, fileNr)
+        {
+            index.files.push(
+            {
+                relativePath: fileList[fileNr].relativePath,
+                size: archivedFile.stats.size,
+                lastModified: archivedFile.stats.mtime.getTime(),
+                linkTarget: fileList[fileNr].linkTarget,
+                hash: archivedFile.hash,
+                archive: archiveName
+            });
+        });
+        writeArchiveIndex(archiveName, index);
+        index.files.forEach(function(entry)
+        {
+            recordCatalogFile(entry.relativePath,
+            {
+                size: entry.size,
+                mtime: new Date(entry.lastModified)
+            }, entry.hash, archiveName, entry.linkTarget);
+        });
+        index.removed.forEach(recordCatalogRemoval);
+        catalog.folders = indexFolderEntries(index.folders);
+        index.files.forEach(function(entry, fileNr)
+        {
+            countCopiedFile(fileList[fileNr], entry.size);
+        });
+        runStats.filesRemoved += removedList.length;
+        logger.info('Backup complete!');
+        logger.info('Archived %s %s (Updated: %s, Removed: %s)', fileList.length, fileList.length === 1 ? 'file' : 'files', overwriteCount, removedList.length);
+    });
+}
+
+function writeArchive(archivePath, fileList)
+{
+    // tar, gzip and the cipher are chained, so the archive is never stored unencrypted, not even in a temp file
+    var partialPath = archivePath + SNAPSHOT_PARTIAL_SUFFIX;
+    var tarStream = new stream.PassThrough();
+    var outputStreams = [tarStream, zlib.createGzip()];
+    if (encryption !== undefined) outputStreams.push(createEncryptStream());
+    outputStreams.push(fs.createWriteStream(partialPath));
+    var currentEntry;
+    var archivedFiles = [];
+    return new promise(function(resolve, reject)
+    {
+        stream.pipeline(outputStreams, function(err)
+        {
+            if (err)
+            {
+                if (currentEntry !== undefined) currentEntry.destroy();
+                reject(err);
+            }
+            else
+            {
+                resolve();
+            }
+        });
+        promise.each(fileList, function(file)
+        {
+            return new promise(function(entryResolve, entryReject)
+            {
+                // named after the relative path, read from wherever the source file is
+                currentEntry = new tar.WriteEntry(file.relativePath,
+                {
+                    absolute: file.path,
+                    portable: true
+                });
+                var archivedFile = hashArchiveEntry(currentEntry);
+                currentEntry.on('error', entryReject);
+                currentEntry.on('end', function()
+                {
+                    archivedFiles.push(archivedFile.finish());
+                    entryResolve();
+                });
+                currentEntry.pipe(tarStream,
+                {
+                    end: false
+                });
+            });
+        }).
+        then(function()
+        {
+            currentEntry = undefined;
+            tarStream.end(Buffer.alloc(ARCHIVE_EOF_SIZE));
+        }).
+        catch (function(err)
+        {
+            tarStream.destroy(err);
+        });
+    }).
+    then(function()
+    {
+        syncFile(partialPath);
+        fs.renameSync(partialPath, archivePath);
+        return archivedFiles;
+    }).
+    catch (function(err)
+    {
+        if (fs.existsSync(partialPath)) fs.unlinkSync(partialPath);
+        throw (err);
+    });
+}
+
+function hashArchiveEntry(entry)
+{
+    // size, date and hash are taken from what tar archives, the file may change while it is read
+    var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    var stats;
+    var hashedBytes = 0;
+    entry.on('stat', function(entryStats)
+    {
+        stats = entryStats;
+    });
+    var writeContent = entry.write; //only file contents and their padding go through write, headers don't
+    entry.write = function(chunk)
+    {
+        var contentBytes = Math.min(chunk.length, stats.size - hashedBytes);
+        if (contentBytes > 0) hash.update(chunk.slice(0, contentBytes));
+        hashedBytes += Math.max(contentBytes, 0);
+        return writeContent.apply(entry, arguments);
+    };
+    return {
+        finish: function()
+        {
+            return {
+                stats: stats,
+                hash: stats.isSymbolicLink() ? undefined : hash.digest('hex')
+            };
+        }
+    };
+}
+
+function writeArchiveIndex(archiveName, index)
+{
+    var indexContents = JSON.stringify(index, undefined, 2);
+    if (encryption !== undefined) indexContents = encryptString(indexContents);
+    fs.writeFileSync(getArchiveRoot() + '/' + archiveName + ARCHIVE_INDEX_EXTENSION, indexContents);
+}
+
+function buildCatalogFromArchiveIndexes()
+{
+    var builtCatalog = createCatalog(null, destinationFormats.ARCHIVE);
+    var archiveRoot = getArchiveRoot();
+    if (fs.existsSync(archiveRoot) === false)
+    {
+        return builtCatalog;
+    }
+    // replay the indexes oldest first, so the newest version of every file wins
+    fs.readdirSync(archiveRoot).filter(function(name)
+    {
+        return name.slice(-ARCHIVE_INDEX_EXTENSION.length) === ARCHIVE_INDEX_EXTENSION;
+    }).sort().forEach(function(name)
+    {
+        var indexContents = fs.readFileSync(archiveRoot + '/' + name, 'utf8');
+        var index = JSON.parse(encryption === undefined ? indexContents : decryptString(indexContents));
+        index.files.forEach(function(entry)
+        {
+            builtCatalog.entries[entry.relativePath] = entry;
+        });
+        index.removed.forEach(function(relativePath)
+        {
+            delete builtCatalog.entries[relativePath];
+        });
+        if (index.folders !== undefined) builtCatalog.folders = indexFolderEntries(index.folders);
+    });
+    return builtCatalog;
+}
+
+function getArchiveCatalog(disk)
+{
+    var fileCatalog = loadCatalog(disk);
+    if (fileCatalog === undefined || fileCatalog.format !== destinationFormats.ARCHIVE)
+    {
+        logger.info('Building catalog from archive indexes...');
+        fileCatalog = buildCatalogFromArchiveIndexes();
+    }
+    return fileCatalog;
+}
+
+function readArchive(archivePath, onEntry)
+{
+    return new promise(function(resolve, reject)
+    {
+        var parser = new tar.Parse(
+        {
+            strict: true,
+            onentry: function(entry)
+            {
+                onEntry(entry.path.replace(/^\.\//, ''), entry);
+            }
+        });
+        var archiveStream = encryption !== undefined ? createDecryptStream(archivePath) : fs.createReadStream(archivePath);
+        archiveStream.on('error', reject);
+        parser.on('error', reject);
+        parser.on('end', resolve);
+        archiveStream.pipe(parser);
+    });
+}
+
+function createDecryptStream(filePath)
+{
+    // the auth tag sits at the end of the file, it is read first so the rest can be streamed
+    var fd = fs.openSync(filePath, 'r');
+    var header = Buffer.alloc(ENCRYPTION_MAGIC.length + ENCRYPTION_IV_LENGTH);
+    var tag = Buffer.alloc(ENCRYPTION_TAG_LENGTH);
+    var size;
+    try
+    {
+        size = fs.fstatSync(fd).size;
+        if (size < ENCRYPTION_OVERHEAD || fs.readSync(fd, header, 0, header.length, 0) !== header.length ||
+            header.slice(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC) === false)
+        {
+            throw ('Error: ' + filePath + ' is not an encrypted backup file');
+        }
+        fs.readSync(fd, tag, 0, ENCRYPTION_TAG_LENGTH, size - ENCRYPTION_TAG_LENGTH);
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+    var decipher = crypto.createDecipheriv(ENCRYPTION_CIPHER, encryption.contentKey, header.slice(ENCRYPTION_MAGIC.length));
+    decipher.setAuthTag(tag);
+    var encryptedStream = fs.createReadStream(filePath,
+    {
+        start: header.length,
+        end: size - ENCRYPTION_TAG_LENGTH - 1
+    });
+    return stream.pipeline(encryptedStream, decipher, function() {}); //errors, a wrong tag included, end up on the decipher
+}
+
+function restoreFromArchives(fileList)
+{
+    var archives = {};
+    fileList.forEach(function(file)
+    {
+        archives[file.archive] = archives[file.archive] || Object.create(null);
+        archives[file.archive][file.relativePath] = file;
+    });
+    return promise.each(Object.keys(archives), function(archiveName)
+    {
+        var archiveFiles = archives[archiveName];
+        var damagedFiles = [];
+        return readArchive(getArchivePath(archiveName), function(relativePath, entry)
+        {
+            var file = archiveFiles[relativePath];
+            if (file === undefined)
+            {
+                entry.resume();
+                return;
+            }
+            // extracted next to the local file, which is only replaced when the content matches the index
+            var tempPath = file.targetPath + TEMP_SUFFIX;
+            var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+            fs.mkdirsSync(path.dirname(file.targetPath));
+            file.tempFd = fs.openSync(tempPath, 'w');
+            entry.on('data', function(chunk)
+            {
+                hash.update(chunk);
+                writeBuffer(file.tempFd, chunk);
+            });
+            entry.on('end', function()
+            {
+                fs.closeSync(file.tempFd);
+                file.tempFd = undefined;
+                if (file.hash !== undefined && hash.digest('hex') !== file.hash)
+                {
+                    fs.unlinkSync(tempPath);
+                    damagedFiles.push(relativePath);
+                    return;
+                }
+                applyMetadata(tempPath, getFileMetadata(file));
+                fs.renameSync(tempPath, file.targetPath);
+                file.restored = true;
+            });
+        }).
+        then(function()
+        {
+            if (damagedFiles.length > 0)
+            {
+                throw ('Error: ' + damagedFiles.join(', ') + ' damaged in archive ' + archiveName);
+            }
+            for (var relativePath in archiveFiles)
+            {
+                if (archiveFiles[relativePath].restored !== true)
+                {
+                    throw ('Error: ' + relativePath + ' not found in archive ' + archiveName);
+                }
+            }
+        }).
+        catch (function(err)
+        {
+            // files that were not extracted completely leave the local files alone
+            Object.keys(archiveFiles).forEach(function(relativePath)
+            {
+                var file = archiveFiles[relativePath];
+                if (file.tempFd !== undefined) fs.closeSync(file.tempFd);
+                if (pathExists(file.targetPath + TEMP_SUFFIX)) fs.unlinkSync(file.targetPath + TEMP_SUFFIX);
+            });
+            throw (err);
+        });
+    });
+}
+
+function verifyArchives(fileCatalog)
+{
+    var report = createVerifyReport();
+    var archives = {};
+    for (var relativePath in fileCatalog.entries)
+    {
+        var entry = fileCatalog.entries[relativePath];
+        archives[entry.archive] = archives[entry.archive] || Object.create(null);
+        archives[entry.archive][relativePath] = entry;
+    }
+    return promise.each(Object.keys(archives), function(archiveName)
+    {
+        var archiveEntries = archives[archiveName];
+        var seen = Object.create(null);
+        var damaged = false;
+        if (fs.existsSync(getArchivePath(archiveName)) === false)
+        {
+            Object.keys(archiveEntries).forEach(function(relativePath)
+            {
+                addVerifyProblem(report, relativePath, verifyResults.MISSING);
+            });
+            return;
+        }
+        return readArchive(getArchivePath(archiveName), function(relativePath, entry)
+        {
+            var expected = archiveEntries[relativePath];
+            if (expected === undefined)
+            {
+                entry.resume(); //older version, replaced by a later archive
+                return;
+            }
+            if (expected.linkTarget !== undefined)
+            {
+                seen[relativePath] = true;
+                if (entry.type !== 'SymbolicLink' || entry.linkpath !== expected.linkTarget) addVerifyProblem(report, relativePath, verifyResults.CORRUPTED);
+                else report.checkedCount++;
+                entry.resume();
+                return;
+            }
+            var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+            var size = 0;
+            entry.on('data', function(chunk)
+            {
+                hash.update(chunk);
+                size += chunk.length;
+            });
+            entry.on('end', function()
+            {
+                seen[relativePath] = true;
+                if (size < expected.size) addVerifyProblem(report, relativePath, verifyResults.TRUNCATED);
+                else if (size !== expected.size || hash.digest('hex') !== expected.hash) addVerifyProblem(report, relativePath, verifyResults.CORRUPTED);
+                else report.checkedCount++;
+            });
+        }).
+        catch (function(err)
+        {
+            logger.info('Error reading archive ' + archiveName + ': ' + err);
+            damaged = true;
+        }).
+        then(function()
+        {
+            Object.keys(archiveEntries).forEach(function(relativePath)
+            {
+                if (seen[relativePath] !== true)
+                {
+                    addVerifyProblem(report, relativePath, damaged ? verifyResults.CORRUPTED : verifyResults.MISSING);
+                }
+            });
+        });
+    }).
+    then(function()
+    {
+        return report;
+    });
+}
+
+function repositoryModeEnabled()
+{
+    return getDestinationFormat() === destinationFormats.REPOSITORY;
+}
+
+function getRepositoryRoot()
+{
+    return parseFileSystemDir(config.backupDestination) + '/' + REPOSITORY_DIR;
+}
+
+function listManifests()
+{
+    var manifestRoot = getRepositoryRoot() + '/manifests';
+    if (fs.existsSync(manifestRoot) === false)
+    {
+        return [];
+    }
+    return fs.readdirSync(manifestRoot).filter(function(name)
+    {
+        return SNAPSHOT_NAME_REGEX.test(name);
+    }).sort().reverse(); //newest first
+}
+
+function getSelectedManifest()
+{
+    var manifests = listManifests();
+    if (manifests.length < 1)
+    {
+        throw ('Error: no backups found in repository');
+    }
+    if (argv.snapshot === undefined)
+    {
+        return manifests[0];
+    }
+    if (manifests.indexOf(String(argv.snapshot)) === -1)
+    {
+        throw ('Error: repository run ' + argv.snapshot + ' not found');
+    }
+    return String(argv.snapshot);
+}
+
+function readManifest(manifestName)
+{
+    var manifestContents = fs.readFileSync(getRepositoryRoot() + '/manifests/' + manifestName, 'utf8');
+    var manifest = JSON.parse(encryption === undefined ? manifestContents : decryptString(manifestContents));
+    if (manifest.manifestVersion !== MANIFEST_VERSION)
+    {
+        throw ('Error: repository manifest version ' + manifest.manifestVersion + ' is not supported');
+    }
+    return manifest;
+}
+
+function writeManifest(manifest)
+{
+    var manifestRoot = getRepositoryRoot() + '/manifests';
+    var manifestContents = JSON.stringify(manifest);
+    if (encryption !== undefined) manifestContents = encryptString(manifestContents);
+    fs.mkdirsSync(manifestRoot);
+    fs.writeFileSync(manifestRoot + '/' + manifest.name + '.tmp', manifestContents);
+    syncFile(manifestRoot + '/' + manifest.name + '.tmp');
+    fs.renameSync(manifestRoot + '/' + manifest.name + '.tmp', manifestRoot + '/' + manifest.name);
+    syncFolder(manifestRoot);
+}
+
+function manifestToCatalog(manifest)
+{
+    var manifestCatalog = createCatalog(manifest.name, destinationFormats.REPOSITORY);
+    manifest.files.forEach(function(entry)
+    {
+        manifestCatalog.entries[entry.relativePath] = entry;
+    });
+    manifestCatalog.folders = indexFolderEntries(manifest.folders || []);
+    return manifestCatalog;
+}
+
+function buildCatalogFromManifest(manifestName)
+{
+    if (manifestName === undefined)
+    {
+        return createCatalog(null, destinationFormats.REPOSITORY);
+    }
+    return manifestToCatalog(readManifest(manifestName));
+}
+
+function performRepositoryBackup(backupPlan, previousManifest)
+{
+    var unchangedFiles = getUnchangedFiles(backupPlan);
+    if (previousManifest !== undefined && snapshotIsUnchanged(backupPlan, unchangedFiles))
+    {
+        logger.info('No changes since repository run ' + previousManifest + ', nothing stored');
+        return;
+    }
+    var manifest = {
+        manifestVersion: MANIFEST_VERSION,
+        name: getSnapshotName(new Date()),
+        files: unchangedFiles.map(function(file)
+        {
+            return catalog.entries[file.relativePath];
+        }),
+        folders: backupPlan.sourceFolders.map(createFolderEntry)
+    };
+    if (listManifests().indexOf(manifest.name) !== -1)
+    {
+        throw ('Error: repository run ' + manifest.name + ' already exists');
+    }
+    var stats = {
+        newChunks: 0,
+        reusedChunks: 0,
+        bytesWritten: 0,
+        chunkFolders: Object.create(null)
+    };
+    if (backupPlan.pendingFiles.length > 0)
+    {
+        logger.info('Storing files in repository...');
+    }
+    backupPlan.pendingFiles.forEach(function(file)
+    {
+        try
+        {
+            manifest.files.push(storeFileInRepository(file, stats));
+            countCopiedFile(file, 0);
+        }
+        catch (err)
+        {
+            handleFileFailure(file.relativePath, err);
+            // the previous version stays in the repository run
+            if (catalog.entries[file.relativePath] !== undefined) manifest.files.push(catalog.entries[file.relativePath]);
+        }
+    });
+    // chunks are written and synced first, so a manifest never points to data that isn't there
+    Object.keys(stats.chunkFolders).forEach(syncFolder);
+    writeManifest(manifest);
+    runStats.bytesCopied += stats.bytesWritten; //only new chunks are written
+    catalog = manifestToCatalog(manifest);
+    writeCatalog(parseFileSystemDir(config.backupDestination), catalog);
+    logger.info('Backup complete!');
+    logger.info('Stored %s %s in repository run %s (New chunks: %s, Reused chunks: %s, Bytes written: %s)', backupPlan.pendingFiles.length,
+        backupPlan.pendingFiles.length === 1 ? 'file' : 'files', manifest.name, stats.newChunks, stats.reusedChunks, stats.bytesWritten);
+}
+
+function storeFileInRepository(file, stats)
+{
+    var fileStats = fs.lstatSync(file.path);
+    if (fileStats.isSymbolicLink())
+    {
+        return {
+            relativePath: file.relativePath,
+            size: fileStats.size,
+            lastModified: fileStats.mtime.getTime(),
+            mode: fileStats.mode & MODE_MASK,
+            uid: fileStats.uid,
+            gid: fileStats.gid,
+            linkTarget: fs.readlinkSync(file.path),
+            chunks: []
+        };
+    }
+    var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    var chunks = [];
+    chunkFile(file.path, function(chunk)
+    {
+        hash.update(chunk);
+        var chunkId = getChunkId(chunk);
+        var chunkPath = getChunkPath(chunkId);
+        chunks.push(chunkId);
+        if (fs.existsSync(chunkPath))
+        {
+            stats.reusedChunks++;
+            return;
+        }
+        var storedChunk = zlib.deflateSync(chunk);
+        if (encryption !== undefined)
+        {
+            storedChunk = encryptBuffer(storedChunk, encryption.contentKey, crypto.randomBytes(ENCRYPTION_IV_LENGTH));
+        }
+        fs.mkdirsSync(path.dirname(chunkPath));
+        fs.writeFileSync(chunkPath + '.tmp', storedChunk);
+        syncFile(chunkPath + '.tmp');
+        fs.renameSync(chunkPath + '.tmp', chunkPath);
+        stats.chunkFolders[path.dirname(chunkPath)] = true;
+        stats.chunkFolders[path.dirname(path.dirname(chunkPath))] = true; //new chunk folders are created there
+        stats.newChunks++;
+        stats.bytesWritten += storedChunk.length;
+    });
+    return {
+        relativePath: file.relativePath,
+        size: fileStats.size,
+        lastModified: fileStats.mtime.getTime(),
+        mode: fileStats.mode & MODE_MASK,
+        uid: fileStats.uid,
+        gid: fileStats.gid,
+        hash: hash.digest('hex'),
+        chunks: chunks
+    };
+}
+
+function chunkFile(filePath, onChunk)
+{
+    // content-defined chunking with a gear rolling hash: an insert only changes the chunks around it
+    var gearTable = getGearTable();
+    var buffer = Buffer.alloc(CHECKSUM_BUFFER_SIZE);
+    var pendingParts = [];
+    var chunkLength = 0;
+    var rollingHash = 0;
+    var fd = fs.openSync(filePath, 'r');
+    try
+    {
+        var bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, CHECKSUM_BUFFER_SIZE, null)) > 0)
+        {
+            var chunkStart = 0;
+            for (var i = 0; i < bytesRead; i++)
+            {
+                rollingHash = ((rollingHash << 1) + gearTable[buffer[i]]) | 0;
+                chunkLength++;
+                if ((chunkLength >= CHUNK_MIN_SIZE && (rollingHash & CHUNK_MASK) === 0) || chunkLength >= CHUNK_MAX_SIZE)
+                {
+                    pendingParts.push(Buffer.from(buffer.slice(chunkStart, i + 1)));
+                    onChunk(Buffer.concat(pendingParts));
+                    pendingParts = [];
+                    chunkLength = 0;
+                    rollingHash = 0;
+                    chunkStart = i + 1;
+                }
+            }
+            if (chunkStart < bytesRead)
+            {
+                pendingParts.push(Buffer.from(buffer.slice(chunkStart, bytesRead))); //copy, the read buffer is reused
+            }
+        }
+        if (chunkLength > 0)
+        {
+            onChunk(Buffer.concat(pendingParts));
+        }
+    }
+    finally
+    {
+        fs.closeSync(fd);
+    }
+}
+
+function getGearTable()
+{
+    if (GEAR_TABLE.length < 1)
+    {
+        for (var i = 0; i < 256; i++)
+        {
+            GEAR_TABLE.push(crypto.createHash('sha256').update(LOG_PREFIX + '-gear-' + i).digest().readInt32BE(0));
+        }
+    }
+    return GEAR_TABLE;
+}
+
+function getChunkId(chunk)
+{
+    if (encryption !== undefined) //a keyed id doesn't reveal which content is on the disk
+    {
+        return crypto.createHmac('sha256', encryption.chunkIdKey).update(chunk).digest('hex');
+    }
+    return crypto.createHash('sha256').update(chunk).digest('hex');
+}
+
+function getChunkPath(chunkId)
+{
+    return getRepositoryRoot() + '/chunks/' + chunkId.slice(0, 2) + '/' + chunkId;
+}
+
+function readChunk(chunkId)
+{
+    var chunkPath = getChunkPath(chunkId);
+    if (fs.existsSync(chunkPath) === false)
+    {
+        throw ('Error: chunk ' + chunkId + ' is missing');
+    }
+    var storedChunk = fs.readFileSync(chunkPath);
+    if (encryption !== undefined)
+    {
+        storedChunk = decryptBuffer(storedChunk, encryption.contentKey);
+    }
+    var chunk = zlib.inflateSync(storedChunk);
+    if (getChunkId(chunk) !== chunkId)
+    {
+        throw ('Error: chunk ' + chunkId + ' is corrupted');
+    }
+    return chunk;
+}
+
+function restoreFromRepository(file, targetPath)
+{
+    fs.mkdirsSync(path.dirname(targetPath));
+    var targetFd = fs.openSync(targetPath, 'w');
+    try
+    {
+        file.chunks.forEach(function(chunkId)
+        {
+            writeBuffer(targetFd, readChunk(chunkId));
+        });
+    }
+    catch (err)
+    {
+        fs.closeSync(targetFd);
+        fs.unlinkSync(targetPath);
+        throw (err);
+    }
+    fs.closeSync(targetFd);
+    fs.utimesSync(targetPath, file.lastModified, file.lastModified);
+}
+
+function verifyRepository(manifest)
+{
+    var report = createVerifyReport();
+    var damagedChunks = Object.create(null); //a shared damaged chunk is only read once
+    manifest.files.forEach(function(entry)
+    {
+        if (entry.linkTarget !== undefined) //nothing is stored besides the manifest entry
+        {
+            report.checkedCount++;
+            return;
+        }
+        var hash = crypto.createHash(CHECKSUM_ALGORITHM);
+        var size = 0;
+        var result;
+        for (var chunkNr = 0; chunkNr < entry.chunks.length; chunkNr++)
+        {
+            var chunkId = entry.chunks[chunkNr];
+            var chunk;
+            try
+            {
+                if (damagedChunks[chunkId] !== undefined) throw (damagedChunks[chunkId]);
+                chunk = readChunk(chunkId);
+            }
+            catch (err)
+            {
+                damagedChunks[chunkId] = err;
+                result = fs.existsSync(getChunkPath(chunkId)) ? verifyResults.CORRUPTED : verifyResults.MISSING;
+                break;
+            }
+            hash.update(chunk);
+            size += chunk.length;
+        }
+        if (result === undefined && size < entry.size) result = verifyResults.TRUNCATED;
+        else if (result === undefined && (size !== entry.size || hash.digest('hex') !== entry.hash)) result = verifyResults.CORRUPTED;
+        if (result !== undefined) addVerifyProblem(report, entry.relativePath, result);
+        else report.checkedCount++;
+    });
+    return report;
+}
+
+function getCommand()
+{
+    return argv._[0] || commands.BACKUP;
+}
+
+function runBackup()
+{
+    var destination = parseFileSystemDir(config.backupDestination);
+    var disk = destination;
+    var runStarted = Date.now();
+    var previousSnapshot;
+    var previousManifest;
+    if (snapshotModeEnabled() && getDestinationFormat() !== destinationFormats.FILES)
+    {
+        throw ('Error: snapshotMode can only be used with the files destination format');
+    }
+    var plainBackup = snapshotModeEnabled() === false && getDestinationFormat() === destinationFormats.FILES;
+    if (argv.resume === true && plainBackup === false)
+    {
+        throw ('Error: --resume only works with plain backups, snapshot, archive and repository runs start over');
+    }
+    if (plainBackup && config.testMode.toUpperCase() !== 'Y')
+    {
+        var interruptedRun = recoverInterruptedRun(disk);
+        if (argv.resume === true)
+        {
+            return resumeBackup(interruptedRun, disk);
+        }
+        if (interruptedRun !== undefined)
+        {
+            logger.info('Scanning again, use --resume to only copy the remaining files');
+        }
+    }
+    if (snapshotModeEnabled())
+    {
+        previousSnapshot = getLatestSnapshot();
+        destination = previousSnapshot && previousSnapshot.path;
+    }
+    else if (repositoryModeEnabled())
+    {
+        previousManifest = listManifests()[0];
+    }
+    return loadOrBuildCatalog(destination, previousSnapshot ? previousSnapshot.name : previousManifest).
+    then(function()
+    {
+        return buildBackupPlan(catalogToFileList(catalog, destination));
+    }).
+    then(function(backupPlan)
+    {
+        runStats.skipped = countSkippedFiles(backupPlan.skippedFiles);
+        updateCatalogHashes(backupPlan.destinationFiles);
+        checkFreeSpace(backupPlan, disk);
+        emitSkippedFiles(backupPlan.skippedFiles);
+        if (config.testMode.toUpperCase() === 'Y')
+        {
+            if (snapshotModeEnabled()) printTestModeSnapshotPlan(backupPlan, previousSnapshot);
+            printTestModeSkippedList(backupPlan.skippedFiles);
+            printTestModeRemovedList(backupPlan.removedFiles);
+            printTestModeBackupList(backupPlan.pendingFiles);
+            return;
+        }
+        var backupRun;
+        var skippedForSpace = backupPlan.skippedFiles.some(function(file)
+        {
+            return file.skipReason === skipReasons.NO_SPACE;
+        });
+        if (snapshotModeEnabled())
+        {
+            backupRun = performSnapshotBackup(backupPlan, previousSnapshot);
+        }
+        else if (archiveModeEnabled())
+        {
+            backupRun = performArchiveBackup(backupPlan).
+            then(function()
+            {
+                writeCatalog(destination, catalog);
+            });
+        }
+        else if (repositoryModeEnabled())
+        {
+            performRepositoryBackup(backupPlan, previousManifest);
+        }
+        else
+        {
+            startRunJournal(disk, backupPlan.pendingFiles, runStarted, skippedForSpace);
+            backupRun = performBackup(backupPlan.pendingFiles, destination).
+            then(function()
+            {
+                if (mirrorModeEnabled())
+                {
+                    performMirrorCleanup(backupPlan.removedFiles, destination);
+                    expireAttic(config.atticExpiryDays);
+                }
+                applyFolderMetadata(backupPlan.sourceFolders, destination);
+                writeCatalog(destination, catalog); //compact the journaled updates
+                finishRunJournal();
+            });
+        }
+        return promise.resolve(backupRun).
+        then(function()
+        {
+            if (skippedForSpace || runFailures.length > 0)
+            {
+                return; //a partial run doesn't count as successful
+            }
+            recordSuccessfulRun(disk, runStarted);
+        });
+    });
+}
+
+function resumeBackup(interruptedRun, disk)
+{
+    if (interruptedRun === undefined)
+    {
+        throw ('Error: there is no interrupted run to resume on ' + disk);
+    }
+    return loadOrBuildCatalog(disk).
+    then(function()
+    {
+        logger.info('Resuming the run started on ' + new Date(interruptedRun.header.started));
+        startRunJournal(disk, interruptedRun.pendingFiles, interruptedRun.header.started, interruptedRun.header.partial);
+        return performBackup(interruptedRun.pendingFiles, disk);
+    }).
+    then(function()
+    {
+        writeCatalog(disk, catalog);
+        finishRunJournal();
+        if (interruptedRun.header.partial === true || runFailures.length > 0)
+        {
+            return; //a partial run doesn't count as successful
+        }
+        recordSuccessfulRun(disk, interruptedRun.header.started);
+    });
+}
+
+function createRunStats()
+{
+    return {
+        started: Date.now(),
+        filesCopied: 0,
+        bytesCopied: 0,
+        filesUpdated: 0,
+        filesRemoved: 0,
+        skipped:
+        {}
+    };
+}
+
+function countCopiedFile(file, bytes)
+{
+    emitJobEvent('file',
+    {
+        relativePath: file.relativePath,
+        size: file.size,
+        bytesWritten: bytes,
+        reason: file.reason
+    });
+    runStats.filesCopied++;
+    runStats.bytesCopied += bytes;
+    if (file.reason !== undefined && file.reason !== backupReasons.DEST_FILE_NOT_FOUND) runStats.filesUpdated++; //resumed files have no reason
+}
+
+function emitSkippedFiles(skippedList)
+{
+    skippedList.forEach(function(file)
+    {
+        emitJobEvent('skip',
+        {
+            relativePath: file.relativePath,
+            size: file.size,
+            reason: file.skipReason
+        });
+    });
+}
+
+function countSkippedFiles(skippedList)
+{
+    var skipped = {};
+    skippedList.forEach(function(file)
+    {
+        skipped[file.skipReason] = (skipped[file.skipReason] || 0) + 1;
+    });
+    return skipped;
+}
+
+function recordSuccessfulRun(disk, runStarted)
+{
+    // files changed while this run was scanning, or too recent for minFileAge, are picked up by the next 'last' run
+    var diskState = readDiskState(disk);
+    diskState.lastSuccessfulRun = runStarted - (parseDuration(config.minFileAge) || 0);
+    writeDiskState(disk, diskState);
+}
+
+function runRestore(pattern)
+{
+    var disk = parseFileSystemDir(config.backupDestination);
+    if (diskIsValid(disk) === false)
+    {
+        throw ('Error: no valid backup disk found at ' + disk);
+    }
+    if (pattern === undefined || String(pattern).length < 1)
+    {
+        throw ('Error: no restore path given. Usage: node backup.js restore <path or glob>');
+    }
+    initEncryption(disk, false);
+    logger.info('Restoring \'' + pattern + '\' to ' + (argv['restore-target'] !== undefined ? parseFileSystemDir(String(argv['restore-target'])) : 'the source'));
+    return getStoredFileList(disk).
+    then(function(storedFileList)
+    {
+        var restoreList = buildRestoreList(storedFileList, String(pattern));
+        var folderList = buildRestoreFolderList(getStoredFolderList(disk), String(pattern));
+        if (config.testMode.toUpperCase() === 'Y')
+        {
+            printTestModeRestoreList(restoreList);
+        }
+        else
+        {
+            return performRestore(restoreList, folderList);
+        }
+    });
+}
+
+function getStoredFileList(disk)
+{
+    if (archiveModeEnabled())
+    {
+        return promise.resolve(catalogToFileList(getArchiveCatalog(disk), getArchiveRoot()));
+    }
+    if (repositoryModeEnabled())
+    {
+        return promise.resolve(catalogToFileList(manifestToCatalog(readManifest(getSelectedManifest())), getRepositoryRoot()));
+    }
+    var backupRoot = getSelectedBackupRoot();
+    return getBackupFileList(backupRoot).
+    then(function(backupFileList)
+    {
+        return addCatalogMetadata(backupFileList, loadSelectedCatalog(disk, backupRoot));
+    });
+}
+
+function getStoredFolderList(disk)
+{
+    var fileCatalog;
+    if (archiveModeEnabled())
+    {
+        fileCatalog = getArchiveCatalog(disk);
+    }
+    else if (repositoryModeEnabled())
+    {
+        fileCatalog = manifestToCatalog(readManifest(getSelectedManifest()));
+    }
+    else
+    {
+        fileCatalog = loadSelectedCatalog(disk, getSelectedBackupRoot());
+    }
+    if (fileCatalog === undefined)
+    {
+        return [];
+    }
+    return Object.keys(fileCatalog.folders).map(function(relativePath)
+    {
+        var folder = fileCatalog.folders[relativePath];
+        return {
+            relativePath: relativePath,
+            mode: folder.mode,
+            uid: folder.uid,
+            gid: folder.gid,
+            lastModified: new Date(folder.lastModified)
+        };
+    });
+}
+
+function loadSelectedCatalog(disk, backupRoot)
+{
+    var fileCatalog = loadCatalog(disk);
+    var snapshotName = snapshotModeEnabled() ? path.basename(backupRoot) : null;
+    return fileCatalog !== undefined && fileCatalog.snapshot === snapshotName ? fileCatalog : undefined;
+}
+
+function addCatalogMetadata(fileList, fileCatalog)
+{
+    fileList.forEach(function(file)
+    {
+        var entry = fileCatalog !== undefined ? fileCatalog.entries[file.relativePath] : undefined;
+        // files on the backup disk are owned by the backup user, the catalog knows the original owner
+        file.uid = entry !== undefined ? entry.uid : undefined;
+        file.gid = entry !== undefined ? entry.gid : undefined;
+        if (entry !== undefined && entry.mode !== undefined) file.mode = entry.mode;
+    });
+    return fileList;
+}
+
+function runList(pattern)
+{
+    var disk = parseFileSystemDir(config.backupDestination);
+    if (diskIsValid(disk) === false)
+    {
+        throw ('Error: no valid backup disk found at ' + disk);
+    }
+    initEncryption(disk, false);
+    var matcher = globToRegExp(pattern === undefined ? '**' : String(pattern));
+    return getStoredFileList(disk).
+    then(function(storedFileList)
+    {
+        var fileList = storedFileList.filter(function(file)
+        {
+            return matcher.test(file.relativePath);
+        }).sort(function(fileA, fileB)
+        {
+            return fileA.relativePath < fileB.relativePath ? -1 : 1;
+        });
+        fileList.forEach(function(file)
+        {
+            logger.info('%s %s %s', file.lastModified.toISOString(), String(file.size).padStart(12), file.relativePath);
+        });
+        logger.info('%s %s', fileList.length, fileList.length === 1 ? 'file' : 'files');
+    });
+}
+
+function getSelectedBackupRoot()
+{
+    if (snapshotModeEnabled() === false)
+    {
+        return parseFileSystemDir(config.backupDestination);
+    }
+    var snapshots = listSnapshots();
+    if (snapshots.length < 1)
+    {
+        throw ('Error: no snapshots found on backup disk');
+    }
+    if (argv.snapshot === undefined)
+    {
+        return snapshots[0].path;
+    }
+    for (var snapshotNr = 0; snapshotNr < snapshots.length; snapshotNr++)
+    {
+        if (snapshots[snapshotNr].name === String(argv.snapshot))
+        {
+            return snapshots[snapshotNr].path;
+        }
+    }
+    throw ('Error: snapshot ' + argv.snapshot + ' not found');
+}
+
+function buildRestoreList(backupFileList, pattern)
+{
+    var matcher = globToRegExp(pattern);
+    backupFileList = backupFileList.filter(function(file)
+    {
+        return matcher.test(file.relativePath);
+    });
+    logger.info('Matching files found: ' + backupFileList.length);
+    var restoreList = [];
+    var skipCount = 0;
+    for (var fileNr in backupFileList)
+    {
+        var file = backupFileList[fileNr];
+        file.targetPath = getRestorePath(file.relativePath);
+        if (pathExists(file.targetPath) === false)
+        {
+            file.reason = restoreReasons.TARGET_FILE_NOT_FOUND;
+            restoreList.push(file);
+            continue;
+        }
+        var targetFile = {
+            lastModified: fs.lstatSync(file.targetPath).mtime
+        };
+        var comparison = compareFilesByDate(file, targetFile);
+        if (comparison === 1)
+        {
+            file.reason = restoreReasons.BACKUP_FILE_NEWER;
+            restoreList.push(file);
+        }
+        else if (comparison === -1 && argv['force-overwrite'] === true)
+        {
+            file.reason = restoreReasons.TARGET_FILE_NEWER;
+            restoreList.push(file);
+        }
+        else if (comparison === -1)
+        {
+            logger.info('Skipping ' + file.relativePath + ': local file is newer (use --force-overwrite to replace it)');
+            skipCount++;
+        }
+    }
+    logger.info('Files to restore: %s (Skipped newer local files: %s)', restoreList.length, skipCount);
+    return restoreList;
+}
+
+function buildRestoreFolderList(folderList, pattern)
+{
+    var matcher = globToRegExp(pattern);
+    return folderList.filter(function(folder)
+    {
+        return matcher.test(folder.relativePath);
+    }).map(function(folder)
+    {
+        folder.targetPath = getRestorePath(folder.relativePath);
+        return folder;
+    });
+}
+
+function getRestorePath(relativePath)
+{
+    if (argv['restore-target'] !== undefined)
+    {
+        return parseFileSystemDir(String(argv['restore-target'])) + '/' + relativePath;
+    }
+    var sourceRoots = getSourceRoots();
+    if (sourceRoots.length === 1)
+    {
+        return sourceRoots[0].path + '/' + relativePath;
+    }
+    // the first folder names the source the file came from
+    var folder = relativePath.split('/')[0];
+    for (var rootNr = 0; rootNr < sourceRoots.length; rootNr++)
+    {
+        if (sourceRoots[rootNr].folder === folder) return sourceRoots[rootNr].path + relativePath.substring(folder.length);
+    }
+    throw ('Error: ' + relativePath + ' doesn\'t belong to a source of job ' + config.name + ', use --restore-target');
+}
+
+function pathExists(filePath)
+{
+    // unlike fs.existsSync, a broken symbolic link exists too
+    try
+    {
+        fs.lstatSync(filePath);
+        return true;
+    }
+    catch (err)
+    {
+        return false;
+    }
+}
+
+function globToRegExp(glob)
+{
+    var pattern = glob.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    var regex = '';
+    for (var i = 0; i < pattern.length; i++)
+    {
+        var char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*')
+        {
+            if (pattern[i + 2] === '/')
+            {
+                regex += '(?:.*/)?'; // '**/' also matches zero folders
+                i += 2;
+            }
+            else
+            {
+                regex += '.*';
+                i++;
+            }
+        }
+        else if (char === '*')
+        {
+            regex += '[^/]*';
+        }
+        else if (char === '?')
+        {
+            regex += '[^/]';
+        }
+        else
+        {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    // a matching folder restores everything below it
+    return new RegExp('^' + regex + '(?:/.*)?$');
+}
+
+function printTestModeRestoreList(restoreList)
+{
+    if (restoreList.length < 1)
+    {
+        logger.info('There are no files to restore!');
+        return;
+    }
+    logger.info('Following files would be restored:\n');
+    restoreList.forEach(function(file)
+    {
+        logger.info('    %s  %s  (%s)', formatBytes(file.size).padStart(10), file.targetPath, file.reason);
+    });
+    logger.info('\nRunning in test mode.\nThis is only a preview: files will not be restored!');
+}
+
+function performRestore(fileList, folderList)
+{
+    if (fileList.length < 1 && folderList.length < 1)
+    {
+        logger.info('No files to restore!');
+        return;
+    }
+    logger.info('Performing restore...');
+    var overwriteCount = fileList.filter(function(file)
+    {
+        return pathExists(file.targetPath);
+    }).length;
+    var archivedFiles = [];
+    var restoredInodes = Object.create(null);
+    for (var fileNr in fileList)
+    {
+        var file = fileList[fileNr];
+        if (file.archive !== undefined && file.type !== 'symlink')
+        {
+            archivedFiles.push(file);
+            continue;
+        }
+        restoreFile(file, restoredInodes);
+    }
+    return restoreFromArchives(archivedFiles).
+    then(function()
+    {
+        restoreFolders(folderList);
+        fileList.forEach(function(file)
+        {
+            emitJobEvent('file',
+            {
+                relativePath: file.relativePath,
+                targetPath: file.targetPath,
+                size: file.size,
+                reason: file.reason
+            });
+        });
+        logger.info('Restore complete!');
+        logger.info('Restored %s %s (Overwritten: %s)', fileList.length, fileList.length === 1 ? 'file' : 'files', overwriteCount);
+    });
+}
+
+function restoreFile(file, restoredInodes)
+{
+    // the local file is only replaced once its restored copy is complete
+    var tempPath = file.targetPath + TEMP_SUFFIX;
+    var linkedPath = file.inode !== undefined ? restoredInodes[file.inode] : undefined;
+    fs.mkdirsSync(path.dirname(file.targetPath));
+    if (pathExists(tempPath)) fs.unlinkSync(tempPath);
+    try
+    {
+        if (file.type === 'symlink') fs.symlinkSync(file.linkTarget, tempPath);
+        else if (linkedPath !== undefined) fs.linkSync(linkedPath, tempPath); //hard linked on the backup disk
+        else if (file.chunks !== undefined) restoreFromRepository(file, tempPath);
+        else copyFromBackup(file.path, tempPath);
+        if (linkedPath === undefined) applyMetadata(tempPath, getFileMetadata(file));
+        fs.renameSync(tempPath, file.targetPath);
+    }
+    catch (err)
+    {
+        if (pathExists(tempPath)) fs.unlinkSync(tempPath);
+        throw (err);
+    }
+    if (file.inode !== undefined && linkedPath === undefined) restoredInodes[file.inode] = file.targetPath;
+}
+
+function restoreFolders(folderList)
+{
+    // deepest folders first, restoring a folder changes the modification date of its parent
+    folderList.slice().sort(function(folderA, folderB)
+    {
+        return folderB.relativePath.length - folderA.relativePath.length;
+    }).forEach(function(folder)
+    {
+        fs.mkdirsSync(folder.targetPath);
+        applyMetadata(folder.targetPath,
+        {
+            mode: folder.mode,
+            uid: folder.uid,
+            gid: folder.gid,
+            mtime: folder.lastModified
+        });
+    });
+}
+
+function getFileMetadata(file)
+{
+    return {
+        symlink: file.type === 'symlink',
+        mode: file.mode,
+        uid: file.uid,
+        gid: file.gid,
+        mtime: file.lastModified
+    };
+}
+
+function runStatus()
+{
+    var disk = parseFileSystemDir(config.backupDestination);
+    config.testMode = 'Y'; //status never writes to the disk
+    var destination;
+    var snapshotName;
+    if (diskIsValid(disk) === false)
+    {
+        logger.info('No backup found at ' + disk + ' yet, every file is new');
+    }
+    else if (snapshotModeEnabled())
+    {
+        initEncryption(disk, false);
+        var latestSnapshot = getLatestSnapshot();
+        destination = latestSnapshot && latestSnapshot.path;
+        snapshotName = latestSnapshot && latestSnapshot.name;
+    }
+    else
+    {
+        initEncryption(disk, false);
+        destination = disk;
+        if (repositoryModeEnabled()) snapshotName = listManifests()[0];
+    }
+    return loadOrBuildCatalog(destination, snapshotName).
+    then(function()
+    {
+        return buildBackupPlan(catalogToFileList(catalog, destination));
+    }).
+    then(function(backupPlan)
+    {
+        emitSkippedFiles(backupPlan.skippedFiles);
+        var statusReport = createStatusReport(backupPlan);
+        if (getOutputFormat() === outputFormats.TABLE)
+        {
+            printStatusTable(statusReport);
+        }
+        return statusReport;
+    });
+}
+
+function createStatusReport(backupPlan)
+{
+    var backupIndex = indexFileList(backupPlan.destinationFiles);
+    var files = backupPlan.pendingFiles.map(function(file)
+    {
+        var backupFile = backupIndex[file.relativePath];
+        return createStatusEntry(backupFile === undefined ? fileStatuses.NEW : fileStatuses.MODIFIED, file, backupFile, file.reason);
+    });
+    var removedFiles = getRemovedFilesFromLists(backupPlan.sourceFiles, backupPlan.destinationFiles);
+    removedFiles.forEach(function(backupFile)
+    {
+        if (isBelowPaths(backupFile.relativePath, backupPlan.unreadablePaths))
+        {
+            files.push(createStatusEntry(fileStatuses.BACKUP_ONLY, undefined, backupFile, 'The source folder could not be read'));
+        }
+        else if (isBelowPaths(backupFile.relativePath, backupPlan.excludedPaths))
+        {
+            files.push(createStatusEntry(fileStatuses.BACKUP_ONLY, undefined, backupFile, 'Kept on the backup, excluded by a filter rule'));
+        }
+        else if (mirrorModeEnabled() && snapshotModeEnabled() === false)
+        {
+            files.push(createStatusEntry(fileStatuses.DELETED, undefined, backupFile, getRemovalDescription()));
+        }
+        else
+        {
+            files.push(createStatusEntry(fileStatuses.BACKUP_ONLY, undefined, backupFile, 'Kept on the backup, mirrorMode is off'));
+        }
+    });
+    files.sort(function(fileA, fileB)
+    {
+        return fileA.path < fileB.path ? -1 : 1;
+    });
+    var summary = {
+        skipped: backupPlan.skippedFiles.length
+    };
+    Object.keys(fileStatuses).forEach(function(key)
+    {
+        summary[fileStatuses[key]] = files.filter(function(file)
+        {
+            return file.status === fileStatuses[key];
+        }).length;
+    });
+    return {
+        job: config.name,
+        inSync: files.every(function(file)
+        {
+            return file.status === fileStatuses.BACKUP_ONLY;
+        }),
+        summary: summary,
+        files: files
+    };
+}
+
+function createStatusEntry(status, sourceFile, backupFile, reason)
+{
+    return {
+        path: (sourceFile || backupFile).relativePath,
+        status: status,
+        size: sourceFile !== undefined ? sourceFile.size : undefined,
+        backupSize: backupFile !== undefined ? backupFile.size : undefined,
+        lastModified: sourceFile !== undefined ? sourceFile.lastModified.toISOString() : undefined,
+        backupLastModified: backupFile !== undefined ? backupFile.lastModified.toISOString() : undefined,
+        reason: reason
+    };
+}
+
+function getRemovalDescription()
+{
+    if (archiveModeEnabled()) return 'Dropped from the catalog on the next run';
+    return getMirrorAction() === mirrorActions.ATTIC ? 'Moved to the attic on the next run' : 'Deleted on the next run';
+}
+
+function printStatusTable(statusReport)
+{
+    var headings = {};
+    headings[fileStatuses.NEW] = 'New on source';
+    headings[fileStatuses.MODIFIED] = 'Modified on source';
+    headings[fileStatuses.DELETED] = 'Deleted on source';
+    headings[fileStatuses.BACKUP_ONLY] = 'Only on the backup';
+    Object.keys(headings).forEach(function(status)
+    {
+        var files = statusReport.files.filter(function(file)
+        {
+            return file.status === status;
+        });
+        if (files.length < 1)
+        {
+            return;
+        }
+        logger.info('\n%s (%s):', headings[status], files.length);
+        logger.info('    %s %s  %s', 'Source'.padStart(10), 'Backup'.padStart(10), 'Path');
+        files.forEach(function(file)
+        {
+            var source = file.size !== undefined ? formatBytes(file.size) : '-';
+            var backup = file.backupSize !== undefined ? formatBytes(file.backupSize) : '-';
+            var reason = status === fileStatuses.NEW ? '' : '  (' + file.reason + ')';
+            logger.info('    %s %s  %s%s', source.padStart(10), backup.padStart(10), file.path, reason);
+        });
+    });
+    if (statusReport.inSync)
+    {
+        logger.info('\nIn sync, nothing to back up');
     }
-    return pendingFilesList;
+    else
+    {
+        var pending = statusReport.summary[fileStatuses.NEW] + statusReport.summary[fileStatuses.MODIFIED] + statusReport.summary[fileStatuses.DELETED];
+        logger.info('\n%s %s pending', pending, pending === 1 ? 'change' : 'changes');
+    }
+}
+
+function getOutputFormat()
+{
+    var outputFormat = String(argv.format || outputFormats.TABLE).toLowerCase();
+    if ([outputFormats.TABLE, outputFormats.JSON, outputFormats.NDJSON].indexOf(outputFormat) === -1)
+    {
+        throw ('Error: unknown format ' + argv.format + ', use table, json or ndjson');
+    }
+    return outputFormat;
+}
+
+function writeStatusOutput(jobResults)
+{
+    var statusReports = jobResults.filter(function(jobResult)
+    {
+        return jobResult.report !== undefined;
+    }).map(function(jobResult)
+    {
+        return jobResult.report;
+    });
+    if (getOutputFormat() === outputFormats.JSON)
+    {
+        process.stdout.write(JSON.stringify(
+        {
+            formatVersion: STATUS_FORMAT_VERSION,
+            inSync: statusReports.every(function(statusReport)
+            {
+                return statusReport.inSync;
+            }),
+            jobs: statusReports
+        }, undefined, 2) + '\n');
+    }
+    else if (getOutputFormat() === outputFormats.NDJSON)
+    {
+        statusReports.forEach(function(statusReport)
+        {
+            statusReport.files.forEach(function(file)
+            {
+                process.stdout.write(JSON.stringify(util._extend(
+                {
+                    formatVersion: STATUS_FORMAT_VERSION,
+                    type: 'file',
+                    job: statusReport.job
+                }, file)) + '\n');
+            });
+            process.stdout.write(JSON.stringify(
+            {
+                formatVersion: STATUS_FORMAT_VERSION,
+                type: 'summary',
+                job: statusReport.job,
+                inSync: statusReport.inSync,
+                summary: statusReport.summary
+            }) + '\n');
+        });
+    }
+    var changesPending = statusReports.some(function(statusReport)
+    {
+        return statusReport.inSync === false;
+    });
+    if (changesPending && process.exitCode === undefined)
+    {
+        process.exitCode = exitCodes.CHANGES_PENDING;
+    }
+}
+
+function runVerify()
+{
+    var disk = parseFileSystemDir(config.backupDestination);
+    if (diskIsValid(disk) === false)
+    {
+        throw ('Error: no valid backup disk found at ' + disk);
+    }
+    initEncryption(disk, false);
+    if (archiveModeEnabled() || repositoryModeEnabled())
+    {
+        var storeReport;
+        if (archiveModeEnabled())
+        {
+            logger.info('Verifying ' + getArchiveRoot() + '...');
+            storeReport = verifyArchives(getArchiveCatalog(disk));
+        }
+        else
+        {
+            var manifestName = getSelectedManifest();
+            logger.info('Verifying repository run ' + manifestName + '...');
+            storeReport = verifyRepository(readManifest(manifestName));
+        }
+        return promise.resolve(storeReport).
+        then(function(report)
+        {
+            printVerifyReport(report);
+            if (report.problems.length > 0)
+            {
+                process.exitCode = exitCodes.VERIFY_FAILED;
+            }
+            return report;
+        });
+    }
+    var backupRoot = getSelectedBackupRoot();
+    var snapshotName = snapshotModeEnabled() ? path.basename(backupRoot) : null;
+    var sourcesExist = getSourceRoots().every(function(sourceRoot)
+    {
+        return fs.existsSync(sourceRoot.path);
+    });
+    // the source is filtered like a backup plan, files a backup skips on purpose are not missing
+    var skippedList = [];
+    var backupFileList;
+    return getBackupFileList(backupRoot).
+    then(function(fileList)
+    {
+        backupFileList = fileList;
+        return sourcesExist ? getSourceTree(getFilterRules(), skippedList) : undefined;
+    }).
+    then(function(sourceTree)
+    {
+        var sourceFileList = sourceTree !== undefined ? applyFileFilters(flattenFileTree(sourceTree), skippedList) : [];
+        var fileCatalog = loadCatalog(disk);
+        var report;
+        logger.info('Verifying ' + backupRoot + '...');
+        if (fileCatalog !== undefined && fileCatalog.snapshot === snapshotName)
+        {
+            logger.info('Checking against catalog');
+            report = verifyAgainstCatalog(backupFileList, fileCatalog, sourceFileList);
+        }
+        else
+        {
+            logger.info('No catalog for this backup, checking against source');
+            report = verifyAgainstSource(backupFileList, sourceFileList, skippedList);
+        }
+        printVerifyReport(report);
+        if (report.problems.length > 0)
+        {
+            process.exitCode = exitCodes.VERIFY_FAILED;
+        }
+        return report;
+    });
+}
+
+function verifyAgainstCatalog(backupFileList, fileCatalog, sourceFileList)
+{
+    var report = createVerifyReport();
+    var backupIndex = indexFileList(backupFileList);
+    var sourceIndex = indexFileList(sourceFileList);
+    for (var relativePath in fileCatalog.entries)
+    {
+        var entry = fileCatalog.entries[relativePath];
+        var backupFile = backupIndex[relativePath];
+        if (backupFile === undefined)
+        {
+            addVerifyProblem(report, relativePath, verifyResults.MISSING);
+            continue;
+        }
+        var expected = {
+            size: entry.size,
+            hash: entry.hash,
+            linkTarget: entry.linkTarget
+        };
+        var sourceFile = sourceIndex[relativePath];
+        // without a recorded hash, an unchanged source file is the best reference we have
+        if (expected.hash === undefined && sourceFile !== undefined && sourceFile.size === entry.size &&
+            sourceFile.lastModified.getTime() === entry.lastModified)
+        {
+            expected.path = sourceFile.path;
+        }
+        verifyFile(report, backupFile, expected);
+    }
+    backupFileList.forEach(function(file)
+    {
+        if (fileCatalog.entries[file.relativePath] === undefined)
+        {
+            addVerifyProblem(report, file.relativePath, verifyResults.EXTRA);
+        }
+    });
+    return report;
+}
+
+function verifyAgainstSource(backupFileList, sourceFileList, skippedList)
+{
+    var report = createVerifyReport();
+    var backupIndex = indexFileList(backupFileList);
+    var sourceIndex = indexFileList(sourceFileList);
+    var skippedIndex = indexFileList(skippedList);
+    var skippedFolders = skippedList.filter(function(file)
+    {
+        return file.type === 'folder';
+    }).map(function(folder)
+    {
+        return folder.relativePath;
+    });
+    backupFileList.forEach(function(backupFile)
+    {
+        var sourceFile = sourceIndex[backupFile.relativePath];
+        var skipped = skippedIndex[backupFile.relativePath] !== undefined || isBelowPaths(backupFile.relativePath, skippedFolders);
+        if (sourceFile === undefined && skipped)
+        {
+            report.unverifiedCount++; //skipped by now, an older backup of it is no problem
+        }
+        else if (sourceFile === undefined)
+        {
+            addVerifyProblem(report, backupFile.relativePath, verifyResults.EXTRA);
+        }
+        else if (compareFilesByDate(sourceFile, backupFile) === 0) //changed source files can't be compared
+        {
+            verifyFile(report, backupFile, sourceFile);
+        }
+        else
+        {
+            report.unverifiedCount++;
+        }
+    });
+    sourceFileList.forEach(function(sourceFile)
+    {
+        if (backupIndex[sourceFile.relativePath] === undefined)
+        {
+            addVerifyProblem(report, sourceFile.relativePath, verifyResults.MISSING);
+        }
+    });
+    return report;
+}
+
+function createVerifyReport()
+{
+    return {
+        checkedCount: 0,
+        unverifiedCount: 0,
+        problems: []
+    };
+}
+
+function addVerifyProblem(report, relativePath, result)
+{
+    report.problems.push(
+    {
+        relativePath: relativePath,
+        result: result
+    });
+}
+
+function verifyFile(report, backupFile, expected)
+{
+    if (backupFile.type === 'symlink' || expected.linkTarget !== undefined)
+    {
+        if (backupFile.linkTarget !== expected.linkTarget) addVerifyProblem(report, backupFile.relativePath, verifyResults.CORRUPTED);
+        else report.checkedCount++;
+        return;
+    }
+    if (backupFile.size < expected.size)
+    {
+        addVerifyProblem(report, backupFile.relativePath, verifyResults.TRUNCATED);
+        return;
+    }
+    if (backupFile.size !== expected.size)
+    {
+        addVerifyProblem(report, backupFile.relativePath, verifyResults.CORRUPTED);
+        return;
+    }
+    if (expected.hash === undefined && expected.path === undefined) //only the size could be checked
+    {
+        report.unverifiedCount++;
+        return;
+    }
+    var expectedHash = expected.hash || getFileChecksum(expected.path);
+    var backupHash;
+    try
+    {
+        backupHash = getBackupFileChecksum(backupFile.path);
+    }
+    catch (err)
+    {
+        backupHash = undefined; //failed to decrypt
+    }
+    if (backupHash !== expectedHash)
+    {
+        addVerifyProblem(report, backupFile.relativePath, verifyResults.CORRUPTED);
+        return;
+    }
+    report.checkedCount++;
+}
+
+function printVerifyReport(report)
+{
+    for (var problemNr = 0; problemNr < report.problems.length; problemNr++)
+    {
+        var problem = report.problems[problemNr];
+        logger.info(problem.result + ': ' + problem.relativePath);
+    }
+    var counts = {};
+    for (var result in verifyResults)
+    {
+        counts[verifyResults[result]] = 0;
+    }
+    report.problems.forEach(function(problem)
+    {
+        counts[problem.result]++;
+    });
+    logger.info('Verify complete!');
+    logger.info('Checksums verified: %s (Size only or unverifiable: %s)', report.checkedCount, report.unverifiedCount);
+    logger.info('Missing: %s, Extra: %s, Truncated: %s, Corrupted: %s', counts[verifyResults.MISSING], counts[verifyResults.EXTRA],
+        counts[verifyResults.TRUNCATED], counts[verifyResults.CORRUPTED]);
+    if (report.problems.length > 0)
+    {
+        logger.info('WARNING: backup disk has %s %s!', report.problems.length, report.problems.length === 1 ? 'problem' : 'problems');
+    }
+    else
+    {
+        logger.info('No problems found');
+    }
+}
+
+function runJob(job)
+{
+    config = job;
+    catalog = undefined;
+    encryption = undefined;
+    runJournal = undefined;
+    runFailures = [];
+    runStats = createRunStats();
+    var signature;
+    var firstMessage = logMessages.length;
+    logger.info('\nJob: ' + job.name);
+    return promise.try(function()
+    {
+        var disk = parseFileSystemDir(config.backupDestination);
+        if (getCommand() === commands.LIST)
+        {
+            return runList(argv._[1]);
+        }
+        if (getCommand() === commands.STATUS || getCommand() === commands.DIFF)
+        {
+            return runStatus();
+        }
+        if (diskIsValid(disk))
+        {
+            acquireDiskLock(disk); //new disks are locked once they are prepared
+        }
+        if (getCommand() === commands.RESTORE)
+        {
+            return runRestore(argv._[1]);
+        }
+        if (getCommand() === commands.VERIFY)
+        {
+            return runVerify();
+        }
+        if (getCommand() === commands.DAEMON && diskIsValid(disk) === false)
+        {
+            throw ('Error: no backup disk found at ' + disk + ', new disks are prepared by running the job by hand');
+        }
+        return initDisk(disk).
+        then(function()
+        {
+            if (diskLock === undefined) acquireDiskLock(disk);
+            signature = checkDiskIdentity(disk);
+            initEncryption(disk, true);
+            return runBackup();
+        });
+    }).
+    finally(releaseDiskLock).
+    then(function(report)
+    {
+        printFailureReport();
+        return {
+            job: job,
+            report: report,
+            disk: signature,
+            success: true,
+            failures: runFailures,
+            warnings: getLoggedWarnings(firstMessage),
+            log: logMessages.slice(firstMessage),
+            stats: finishRunStats()
+        };
+    }).
+    catch (function(err)
+    {
+        // a failing job doesn't stop the jobs after it
+        logger.error('Job ' + job.name + ' failed');
+        logger.error(err.toString());
+        printFailureReport();
+        return {
+            job: job,
+            disk: signature,
+            success: false,
+            error: err.toString(),
+            failures: runFailures,
+            warnings: getLoggedWarnings(firstMessage),
+            log: logMessages.slice(firstMessage),
+            stats: finishRunStats()
+        };
+    });
+}
+
+function finishRunStats()
+{
+    runStats.finished = Date.now();
+    return runStats;
+}
+
+function setJobsExitCode(jobResults)
+{
+    var failedJobs = jobResults.filter(function(jobResult)
+    {
+        return jobResult.success === false;
+    });
+    var partialJobs = jobResults.filter(function(jobResult)
+    {
+        return jobResult.failures.length > 0;
+    });
+    if (failedJobs.length > 0)
+    {
+        process.exitCode = exitCodes.FAILED;
+    }
+    else if (partialJobs.length > 0 && process.exitCode === undefined)
+    {
+        process.exitCode = exitCodes.PARTIAL_SUCCESS;
+    }
+}
+
+function printJobSummary(jobResults)
+{
+    if (jobResults.length < 2)
+    {
+        return;
+    }
+    logger.info('\nJob summary:');
+    jobResults.forEach(function(jobResult)
+    {
+        var diskLabel = jobResult.disk !== undefined ? ' (disk ' + jobResult.disk.label + ')' : '';
+        logger.info('    %s: %s%s', jobResult.job.name, describeJobResult(jobResult), diskLabel);
+    });
+}
+
+function describeJobResult(jobResult)
+{
+    if (jobResult.success === false) return 'FAILED';
+    if (jobResult.failures.length > 0) return 'completed with ' + jobResult.failures.length + ' failed ' + (jobResult.failures.length === 1 ? 'file' : 'files');
+    return 'completed';
+}
+
+function parseSchedule(input)
+{
+    var match = String(input).trim().match(/^([^@]+?)\s*(?:@\s*(\d{1,2}):(\d{2}))?$/);
+    if (match === null) return undefined;
+    var interval = parseDuration(match[1]);
+    if (isNaN(interval) || interval < DAEMON_CHECK_INTERVAL) return undefined;
+    var schedule = {
+        interval: interval
+    };
+    if (match[2] !== undefined)
+    {
+        if (parseInt(match[2], 10) > 23 || parseInt(match[3], 10) > 59) return undefined;
+        schedule.hours = parseInt(match[2], 10);
+        schedule.minutes = parseInt(match[3], 10);
+    }
+    return schedule;
+}
+
+function getNextRun(schedule, lastRun)
+{
+    if (lastRun === undefined)
+    {
+        return 0; //never ran, due right away
+    }
+    if (schedule.hours === undefined)
+    {
+        return lastRun + schedule.interval;
+    }
+    // runs line up with the time of day, e.g. 1d@02:00 runs every night at 2
+    var anchor = new Date(lastRun);
+    anchor.setHours(schedule.hours, schedule.minutes, 0, 0);
+    var intervals = Math.floor((lastRun - anchor.getTime()) / schedule.interval) + 1;
+    return anchor.getTime() + intervals * schedule.interval;
+}
+
+function getScheduledJobs(jobList)
+{
+    return jobList.filter(function(job)
+    {
+        if (job.schedule === undefined || String(job.schedule).trim().length < 1) return false;
+        if (parseSchedule(job.schedule) === undefined)
+        {
+            throw ('Error: job ' + job.name + ' has an invalid schedule: ' + job.schedule);
+        }
+        return true;
+    });
+}
+
+function readDaemonState()
+{
+    var daemonState = {
+        jobs:
+        {}
+    };
+    if (fs.existsSync(DAEMON_STATE_FILE))
+    {
+        try
+        {
+            daemonState = JSON.parse(fs.readFileSync(DAEMON_STATE_FILE, 'utf8'));
+        }
+        catch (err)
+        {
+            logger.info('Error reading daemon state: ' + err);
+        }
+    }
+    return daemonState;
+}
+
+function writeDaemonState(daemonState)
+{
+    fs.writeFileSync(DAEMON_STATE_FILE + '.tmp', JSON.stringify(daemonState, undefined, 2));
+    fs.renameSync(DAEMON_STATE_FILE + '.tmp', DAEMON_STATE_FILE);
+}
+
+function getLastRun(job, jobState)
+{
+    if (jobState.lastRun !== undefined)
+    {
+        return jobState.lastRun;
+    }
+    // jobs run from cron before carry on from their last run on the disk
+    var disk = parseFileSystemDir(job.backupDestination);
+    return diskIsValid(disk) ? readDiskState(disk).lastSuccessfulRun : undefined;
+}
+
+function jobIsDue(job, jobState, now)
+{
+    var failedRecently = jobState.lastAttempt !== undefined && jobState.lastAttempt !== jobState.lastRun && now - jobState.lastAttempt < DAEMON_RETRY_DELAY;
+    return failedRecently === false && getNextRun(parseSchedule(job.schedule), getLastRun(job, jobState)) <= now;
+}
+
+function diskIsAttached(job)
+{
+    var signature = readDiskSignature(parseFileSystemDir(job.backupDestination));
+    if (signature === undefined) return false;
+    if (signature.legacy === true) return true; //upgraded by the run
+    var rotationDisks = parseListOption(job.rotationDisks);
+    return signature.job === job.name && (rotationDisks.length < 1 || rotationDisks.indexOf(signature.label) !== -1);
+}
+
+function runDaemon()
+{
+    if (getScheduledJobs(getSelectedJobs(loadConfig())).length < 1)
+    {
+        throw ('Error: no job has a schedule, add one with --edit-job');
+    }
+    var waitingJobs = {};
+    var stopDaemon = function()
+    {
+        logger.info('Daemon stopped');
+        releaseDiskLock();
+        process.exit();
+    };
+    process.on('SIGINT', stopDaemon);
+    process.on('SIGTERM', stopDaemon);
+    logger.info('Daemon started, checking the schedule every minute');
+    var checkSchedule = function()
+    {
+        runDueJobs(waitingJobs).
+        catch (function(err)
+        {
+            logger.error('Error checking the schedule');
+            logger.error(err.toString());
+        }).
+        then(function()
+        {
+            setTimeout(checkSchedule, DAEMON_CHECK_INTERVAL);
+        });
+    };
+    checkSchedule();
+    return new promise(function() {}); //runs until the daemon is stopped
 }
 
-function findFileInList(file, fileList)
+function runDueJobs(waitingJobs)
 {
-    for (var fileNr in fileList)
+    // the config is read again on every check, edits apply without a restart
+    var scheduledJobs = getScheduledJobs(getSelectedJobs(loadConfig()));
+    var daemonState = readDaemonState();
+    var now = Date.now();
+    var dueJobs = scheduledJobs.filter(function(job)
     {
-        var listFile = fileList[fileNr];
-        if (listFile.relativePath === file.relativePath)
+        if (jobIsDue(job, daemonState.jobs[job.name] ||
+        {}, now) === false) return false;
+        if (optionEnabled(job.waitForDisk) && diskIsAttached(job) === false)
         {
-            return listFile;
+            if (waitingJobs[job.name] !== true) logger.info('Job %s is due, waiting for its backup disk at %s', job.name, parseFileSystemDir(job.backupDestination));
+            waitingJobs[job.name] = true;
+            return false;
         }
+        delete waitingJobs[job.name];
+        return true;
+    });
+    if (dueJobs.length < 1)
+    {
+        return promise.resolve();
     }
+    logMessages.length = 0; //every round of runs mails its own summary and log
+    restartFileLogger();
+    var jobResults = [];
+    return promise.each(dueJobs, function(job)
+    {
+        var jobState = daemonState.jobs[job.name] ||
+        {};
+        var runStarted = Date.now();
+        var dueSince = getNextRun(parseSchedule(job.schedule), getLastRun(job, jobState));
+        if (dueSince > 0 && runStarted - dueSince > 2 * DAEMON_CHECK_INTERVAL)
+        {
+            logger.info('Catching up the run of job %s that was due on %s', job.name, new Date(dueSince));
+        }
+        return new BackupJob(job).execute(argv).
+        then(function(jobResult)
+        {
+            jobResults.push(jobResult);
+            jobState.lastAttempt = runStarted;
+            if (jobResult.success) jobState.lastRun = runStarted;
+            daemonState.jobs[job.name] = jobState;
+            writeDaemonState(daemonState);
+        });
+    }).
+    then(function()
+    {
+        printJobSummary(jobResults);
+        return sendNotifications(jobResults);
+    });
 }
 
-function compareFilesByDate(fileA, fileB)
+function sendNotifications(jobResults)
 {
-    var dateA = Date.parse(fileA.lastModified);
-    var dateB = Date.parse(fileB.lastModified);
-    if (dateA > dateB) return 1;
-    if (dateA === dateB) return 0;
-    if (dateA < dateB) return -1;
+    // status, diff, list and restore don't change the backup, verify only reports the problems it found
+    if (getCommand() !== commands.BACKUP && getCommand() !== commands.DAEMON && getCommand() !== commands.VERIFY)
+    {
+        return promise.resolve();
+    }
+    var notifiedResults = jobResults.filter(function(jobResult)
+    {
+        if (getCommand() === commands.VERIFY) return getJobStatus(jobResult) !== runStatuses.SUCCESS;
+        return getNotifyMode(jobResult.job) === notifyModes.ALWAYS || getJobStatus(jobResult) !== runStatuses.SUCCESS;
+    });
+    return mailJobSummaries(notifiedResults).
+    then(function()
+    {
+        return postWebhooks(notifiedResults);
+    });
 }
 
-function printTestModeBackupList(backupList)
+function getNotifyMode(job)
 {
-    if (backupList.length < 1)
-    {
-        logger.info('There are no files to backup!');
-        return;
-    }
-    logger.info('Following files are different on source:\n');
-    logger.info(JSON.stringify(backupList, null, 2));
-    logger.info('\nRunning in test mode.\nThis is only a preview: files will not be backed up!');
+    return (job.notifyOn || notifyModes.ALWAYS).toLowerCase();
 }
 
-function performBackup(fileList)
+function getJobStatus(jobResult)
 {
-    if (fileList.length < 1)
+    if (jobResult.success === false) return runStatuses.FAILURE;
+    if (jobResult.failures.length > 0 || jobResult.warnings.length > 0) return runStatuses.WARNING;
+    if (getVerifyProblems(jobResult).length > 0) return runStatuses.WARNING;
+    return runStatuses.SUCCESS;
+}
+
+function getVerifyProblems(jobResult)
+{
+    if (getCommand() !== commands.VERIFY || jobResult.report === undefined) return [];
+    return jobResult.report.problems;
+}
+
+function getLoggedWarnings(firstMessage)
+{
+    return logMessages.slice(firstMessage).filter(function(logItem)
     {
-        logger.info('No files to backup!');
-        return;
-    }
-    logger.info('Performing backup...');
-    var overwriteCount = 0;
-    for (var fileNr in fileList)
+        return / : WARNING: /.test(logItem);
+    });
+}
+
+function mailJobSummaries(jobResults)
+{
+    // every mail address gets one combined summary, even when several jobs report to it
+    var mailConfigs = {};
+    var mailedResults = {};
+    jobResults.forEach(function(jobResult)
     {
-        var file = fileList[fileNr];
-        var stats = fs.statSync(file.path);
-        var backupPath = parseFileSystemDir(config.backupDestination) + '/' + file.relativePath;
-        if (fs.existsSync(backupPath))
+        var job = jobResult.job;
+        if (optionEnabled(job.sendMailSummary) && job.mailConfig !== undefined)
         {
-            fs.unlinkSync(backupPath); //delete
-            overwriteCount++;
+            var key = JSON.stringify(job.mailConfig);
+            mailConfigs[key] = job.mailConfig;
+            mailedResults[key] = (mailedResults[key] || []).concat(jobResult);
         }
-        fs.copySync(file.path, backupPath);
-        fs.utimesSync(backupPath, stats.atime, stats.mtime); //sync timestamps
-    }
-    logger.info('Backup complete!');
-    logger.info('Backed up %s %s (Updated: %s)', fileList.length, fileList.length === 1 ? 'file' : 'files', overwriteCount);
+    });
+    return promise.each(Object.keys(mailConfigs), function(key)
+    {
+        // one failing mail server doesn't keep the other notifications from going out
+        return mailLogSummary(mailConfigs[key], mailedResults[key]).
+        catch (function(err)
+        {
+            logger.error('Error sending the mail summary to ' + mailConfigs[key].logMailReceiver + ': ' + err);
+        });
+    });
 }
 
-function mailLogSummary()
+function mailLogSummary(mailConfig, jobResults)
 {
     logger.info('Sending mail summary...');
-    var logSummary = generateLogSummary();
-    var transporter;
-    var mailConfig = config.mailConfig;
-    if (mailConfig.logMailSender !== undefined)
-    {
-        transporter = getGmailTransporter(mailConfig.logMailSender, mailConfig.logMailSenderPassword); //only Gmail for now
-    }
-    else
-    {
-        transporter = nodemailer.createTransport(); //default transport
-    }
+    var report = createRunReport(jobResults);
     return new promise(function(resolve, reject)
     {
+        var transporter = getMailTransporter(mailConfig); //throws inside the promise, a missing secret only fails this mail
         transporter.sendMail(
         {
             from: mailConfig.logMailSender || mailConfig.logMailReceiver, //use receiver if no sender
             to: mailConfig.logMailReceiver,
-            subject: 'backup.js Log Summary [' + Math.floor(new Date() / 1000) + ']',
-            text: logSummary
+            subject: '[' + report.status.toUpperCase() + '] backup.js on ' + os.hostname() + ': ' + jobResults.map(function(jobResult)
+            {
+                return jobResult.job.name;
+            }).join(', '),
+            text: generateTextReport(report),
+            html: generateHtmlReport(report),
+            attachments: [getLogAttachment(jobResults)]
         }, function(err)
         {
             if (err)
@@ -842,18 +7018,323 @@ function mailLogSummary()
     });
 }
 
-function generateLogSummary()
+function getMailTransport(mailConfig)
+{
+    if (mailConfig.mailTransport === undefined)
+    {
+        return mailConfig.logMailSender !== undefined ? mailTransports.GMAIL : mailTransports.DIRECT; //configs from before the transport could be chosen
+    }
+    return mailConfig.mailTransport.toLowerCase();
+}
+
+function getMailTransporter(mailConfig)
+{
+    switch (getMailTransport(mailConfig))
+    {
+        case mailTransports.SMTP:
+            return nodemailer.createTransport(getSmtpOptions(mailConfig));
+        case mailTransports.SENDMAIL:
+            return nodemailer.createTransport(createSendmailTransport(mailConfig.sendmailPath || DEFAULT_SENDMAIL_PATH));
+        case mailTransports.GMAIL:
+            return getGmailTransporter(mailConfig.logMailSender, getMailPassword(mailConfig));
+        case mailTransports.DIRECT:
+            return nodemailer.createTransport(); //delivers straight to the receiving mail server
+        default:
+            throw ('Error: unknown mailTransport ' + mailConfig.mailTransport + ', use smtp, sendmail or gmail');
+    }
+}
+
+function getSmtpOptions(mailConfig)
+{
+    var security = (mailConfig.smtpSecurity || smtpSecurityModes.STARTTLS).toLowerCase();
+    var smtpOptions = {
+        host: mailConfig.smtpHost || 'localhost',
+        port: parseInt(mailConfig.smtpPort, 10) || (security === smtpSecurityModes.TLS ? 465 : 587),
+        secure: security === smtpSecurityModes.TLS,
+        requireTLS: security === smtpSecurityModes.STARTTLS,
+        ignoreTLS: security === smtpSecurityModes.NONE,
+        connectionTimeout: NOTIFICATION_TIMEOUT,
+        socketTimeout: NOTIFICATION_TIMEOUT
+    };
+    if (String(mailConfig.smtpUser || '').length > 0)
+    {
+        smtpOptions.auth = {
+            user: mailConfig.smtpUser,
+            pass: getMailPassword(mailConfig)
+        };
+    }
+    return smtpOptions;
+}
+
+function getMailPassword(mailConfig)
 {
-    var summaryString = 'backup.js Log Summary - ' + new Date().toDateString();
-    summaryString += '\n' + Array(68).join("=") + '\n'; // print 68 x '='
-    for (var line = 0; line < logMessages.length; line++)
+    if (mailConfig.logMailSenderPassword !== undefined && mailConfig.logMailSenderPassword.length > 0)
     {
-        summaryString += logMessages[line] + '\n';
+        return resolveSecret(mailConfig.logMailSenderPassword, 'logMailSenderPassword');
     }
-    summaryString += Array(68).join("=") + '\n';
-    summaryString += 'Generated by backup.js - https://github.com/alexvanmaele/backup.js\n';
-    summaryString += Array(68).join("=");
-    return summaryString;
+    return process.env[MAIL_PASSWORD_ENV];
+}
+
+function createSendmailTransport(sendmailPath)
+{
+    return {
+        name: 'sendmail',
+        version: '1',
+        send: function(mail, callback)
+        {
+            var envelope = mail.data.envelope || mail.message.getEnvelope();
+            var sendmail = childProcess.spawn(sendmailPath, ['-i', '-f', envelope.from].concat(envelope.to));
+            var output = '';
+            var returned = false;
+            var done = function(err)
+            {
+                if (returned) return;
+                returned = true;
+                callback(err, err ? undefined :
+                {
+                    envelope: envelope,
+                    messageId: (mail.message.getHeader('message-id') || '').replace(/[<>\s]/g, '')
+                });
+            };
+            sendmail.on('error', done);
+            sendmail.stderr.on('data', function(data)
+            {
+                output += data;
+            });
+            sendmail.on('close', function(code)
+            {
+                done(code === 0 ? undefined : 'Error: ' + sendmailPath + ' exited with code ' + code + (output.length > 0 ? ': ' + output.trim() : ''));
+            });
+            mail.message.createReadStream().pipe(sendmail.stdin);
+        }
+    };
+}
+
+function postWebhooks(jobResults)
+{
+    var webhookUrls = [];
+    jobResults.forEach(function(jobResult)
+    {
+        var webhookUrl = jobResult.job.webhookUrl;
+        if (webhookUrl !== undefined && String(webhookUrl).length > 0 && webhookUrls.indexOf(webhookUrl) === -1) webhookUrls.push(webhookUrl);
+    });
+    return promise.each(webhookUrls, function(webhookUrl)
+    {
+        var webhookResults = jobResults.filter(function(jobResult)
+        {
+            return jobResult.job.webhookUrl === webhookUrl;
+        });
+        return postJson(webhookUrl, createWebhookPayload(webhookResults)).
+        then(function()
+        {
+            logger.info('Summary posted to ' + webhookUrl);
+        }).
+        catch (function(err)
+        {
+            logger.error('Error posting the summary to ' + webhookUrl + ': ' + err);
+        });
+    });
+}
+
+function getRunStatus(jobResults)
+{
+    var statuses = jobResults.map(getJobStatus);
+    if (statuses.indexOf(runStatuses.FAILURE) !== -1) return runStatuses.FAILURE;
+    if (statuses.indexOf(runStatuses.WARNING) !== -1) return runStatuses.WARNING;
+    return runStatuses.SUCCESS;
+}
+
+function createWebhookPayload(jobResults)
+{
+    return {
+        event: getCommand() === commands.VERIFY ? 'verify.finished' : 'backup.finished',
+        status: getRunStatus(jobResults),
+        hostname: os.hostname(),
+        date: new Date().toISOString(),
+        jobs: jobResults.map(function(jobResult)
+        {
+            return {
+                name: jobResult.job.name,
+                status: getJobStatus(jobResult),
+                disk: jobResult.disk !== undefined ? jobResult.disk.label : undefined,
+                stats: jobResult.stats,
+                failedFiles: jobResult.failures.map(function(failure)
+                {
+                    return {
+                        path: failure.relativePath,
+                        type: failure.type,
+                        error: failure.message
+                    };
+                }).concat(getVerifyProblems(jobResult).map(function(problem)
+                {
+                    return {
+                        path: problem.relativePath,
+                        type: 'verify',
+                        error: problem.result
+                    };
+                })),
+                warnings: jobResult.warnings
+            };
+        }),
+        log: getJobsLog(jobResults)
+    };
+}
+
+function postJson(webhookUrl, payload)
+{
+    var body = Buffer.from(JSON.stringify(payload));
+    var target = new url.URL(webhookUrl);
+    var client = target.protocol === 'https:' ? https : http;
+    return new promise(function(resolve, reject)
+    {
+        var request = client.request(target,
+        {
+            method: 'POST',
+            headers:
+            {
+                'Content-Type': 'application/json',
+                'Content-Length': body.length,
+                'User-Agent': 'backup.js'
+            },
+            timeout: NOTIFICATION_TIMEOUT
+        }, function(response)
+        {
+            response.resume();
+            if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+            else reject('Error: HTTP ' + response.statusCode);
+        });
+        request.on('timeout', function()
+        {
+            request.destroy(new Error('no response after ' + NOTIFICATION_TIMEOUT / 1000 + ' seconds'));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function createRunReport(jobResults)
+{
+    return {
+        status: getRunStatus(jobResults),
+        date: new Date(),
+        jobs: jobResults.map(function(jobResult)
+        {
+            var stats = jobResult.stats;
+            var rows = [
+                ['Status', describeJobResult(jobResult) + (optionEnabled(jobResult.job.testMode) ? ' (test mode, nothing copied)' : '')],
+                ['Disk', jobResult.disk !== undefined ? jobResult.disk.label + ' (' + jobResult.disk.diskId + ')' : 'unknown'],
+                ['Duration', formatDuration(stats.finished - stats.started)],
+                ['Files copied', stats.filesCopied + ' (' + formatBytes(stats.bytesCopied) + ')'],
+                ['Updated', stats.filesUpdated],
+                ['Removed', stats.filesRemoved]
+            ];
+            Object.keys(stats.skipped).forEach(function(skipReason)
+            {
+                rows.push(['Skipped: ' + skipReason, stats.skipped[skipReason]]);
+            });
+            var problems = jobResult.failures.map(function(failure)
+            {
+                return failure.relativePath + ': ' + failure.type + ' (' + failure.message + ')';
+            }).concat(getVerifyProblems(jobResult).map(function(problem)
+            {
+                return problem.relativePath + ': ' + problem.result;
+            })).concat(jobResult.warnings.map(function(logItem)
+            {
+                return logItem.substring(logItem.indexOf(' : ') + 3);
+            }));
+            if (jobResult.error !== undefined) problems.unshift(jobResult.error);
+            return {
+                name: jobResult.job.name,
+                status: getJobStatus(jobResult),
+                rows: rows,
+                problems: problems
+            };
+        })
+    };
+}
+
+function generateTextReport(report)
+{
+    var line = Array(68).join('='); // 67 x '='
+    var text = 'backup.js run report - ' + report.date.toString() + '\n' + line + '\n';
+    report.jobs.forEach(function(job)
+    {
+        text += '\nJob: ' + job.name + '\n';
+        job.rows.forEach(function(row)
+        {
+            text += '    ' + row[0] + ': ' + row[1] + '\n';
+        });
+        if (job.problems.length > 0)
+        {
+            text += '    Errors and warnings:\n';
+            job.problems.forEach(function(problem)
+            {
+                text += '        ' + problem + '\n';
+            });
+        }
+    });
+    text += '\n' + line + '\n';
+    text += 'The log of these jobs is attached.\n';
+    text += 'Generated by backup.js - https://github.com/alexvanmaele/backup.js\n';
+    return text;
+}
+
+function generateHtmlReport(report)
+{
+    var statusColors = {
+        success: '#2e7d32',
+        warning: '#ef6c00',
+        failure: '#c62828'
+    };
+    var html = '<html><body style="font-family: sans-serif; font-size: 14px">';
+    html += '<h2>backup.js run report</h2><p>' + escapeHtml(report.date.toString()) + '</p>';
+    report.jobs.forEach(function(job)
+    {
+        html += '<h3 style="color: ' + statusColors[job.status] + '">' + escapeHtml(job.name) + '</h3>';
+        html += '<table cellpadding="4" style="border-collapse: collapse">';
+        job.rows.forEach(function(row)
+        {
+            html += '<tr><th align="left">' + escapeHtml(row[0]) + '</th><td>' + escapeHtml(row[1]) + '</td></tr>';
+        });
+        html += '</table>';
+        if (job.problems.length > 0)
+        {
+            html += '<p><b>Errors and warnings:</b></p><ul>';
+            job.problems.forEach(function(problem)
+            {
+                html += '<li>' + escapeHtml(problem) + '</li>';
+            });
+            html += '</ul>';
+        }
+    });
+    html += '<p style="color: #777">The log of these jobs is attached. Generated by <a href="https://github.com/alexvanmaele/backup.js">backup.js</a></p>';
+    html += '</body></html>';
+    return html;
+}
+
+function escapeHtml(text)
+{
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function getJobsLog(jobResults)
+{
+    // every recipient only gets the log of the jobs it is told about
+    return jobResults.reduce(function(jobsLog, jobResult)
+    {
+        return jobsLog.concat(jobResult.log);
+    }, []);
+}
+
+function getLogAttachment(jobResults)
+{
+    // the log file is still being written to, the same lines are kept in memory
+    var logContents = Buffer.from(getJobsLog(jobResults).join('\n') + '\n');
+    return {
+        filename: (logFilePath !== undefined ? path.basename(logFilePath) : LOG_PREFIX + '.log') + '.gz',
+        content: zlib.gzipSync(logContents),
+        contentType: 'application/gzip'
+    };
 }
 
 function getGmailTransporter(user, pass)
@@ -869,37 +7350,171 @@ function getGmailTransporter(user, pass)
     });
     return transporter;
 }
-// MAIN SCRIPT
-(function()
+// a BackupJob runs one job from a config, without the command line, prompts or console output
+function BackupJob(options)
+{
+    events.EventEmitter.call(this);
+    this.options = normalizeJobOptions(options);
+}
+util.inherits(BackupJob, events.EventEmitter);
+
+BackupJob.prototype.plan = function(runOptions)
+{
+    return this.execute(createJobArgv(commands.STATUS, [], runOptions)).
+    then(function(jobResult)
+    {
+        return getJobResult(jobResult).report;
+    });
+};
+
+BackupJob.prototype.run = function(runOptions)
+{
+    return this.execute(createJobArgv(commands.BACKUP, [], runOptions)).then(getJobResult);
+};
+
+BackupJob.prototype.restore = function(pattern, runOptions)
+{
+    return this.execute(createJobArgv(commands.RESTORE, pattern !== undefined ? [pattern] : [], runOptions)).then(getJobResult);
+};
+
+BackupJob.prototype.execute = function(jobArgv)
+{
+    var self = this;
+    if (activeJob !== undefined)
+    {
+        return promise.reject('Error: job ' + activeJob.options.name + ' is still running, jobs in one process run one at a time');
+    }
+    var previousArgv = argv;
+    activeJob = this;
+    argv = jobArgv;
+    if (logger === undefined) initLibraryLogging();
+    if (runningFromCli === false) logMessages.length = 0;
+    return runJob(util._extend({}, this.options)).
+    then(function(jobResult)
+    {
+        self.emit('done', jobResult);
+        return jobResult;
+    }).
+    finally(function()
+    {
+        activeJob = undefined;
+        argv = previousArgv;
+    });
+};
+
+function normalizeJobOptions(options)
+{
+    var job = util._extend(
+    {
+        name: 'default',
+        backupDate: '',
+        exclude: '',
+        testMode: 'N',
+        snapshotMode: 'N',
+        mirrorMode: 'N',
+        sendMailSummary: 'N'
+    }, options);
+    if (job.backupSource === undefined || job.backupDestination === undefined)
+    {
+        throw ('Error: a job needs a backupSource and a backupDestination');
+    }
+    YES_NO_OPTIONS.forEach(function(key)
+    {
+        if (typeof job[key] === 'boolean') job[key] = job[key] ? 'Y' : 'N';
+    });
+    return job;
+}
+
+function createJobArgv(command, positionalArgs, runOptions)
+{
+    // runOptions are the command line flags in camel case, e.g. forceErase for --force-erase
+    var jobArgv = {
+        _: [command].concat(positionalArgs)
+    };
+    Object.keys(runOptions ||
+    {}).forEach(function(key)
+    {
+        jobArgv[key.replace(/[A-Z]/g, function(letter)
+        {
+            return '-' + letter.toLowerCase();
+        })] = runOptions[key];
+    });
+    return jobArgv;
+}
+
+function getJobResult(jobResult)
+{
+    if (jobResult.success === false)
+    {
+        throw (jobResult.error);
+    }
+    return jobResult;
+}
+
+function emitJobEvent(eventName, payload)
+{
+    if (activeJob === undefined)
+    {
+        return;
+    }
+    if (eventName === 'error' && activeJob.listenerCount('error') < 1)
+    {
+        return; //an 'error' event nobody listens to would throw
+    }
+    activeJob.emit(eventName, payload);
+}
+
+function main()
 {
     var startTime = new Date();
+    runningFromCli = true;
     initLogging();
     showWelcome();
     tryDropPrivilegesIfRoot();
-    generateConfigIfNotExists().
-    then(function()
+    if (getCommand() === commands.CONFIG)
     {
-        loadConfig();
-        return initDisk(parseFileSystemDir(config.backupDestination));
-    }).
+        promise.try(function()
+        {
+            runConfigCommand(argv._[1], argv._[2], argv._[3]);
+        }).
+        catch (function(err)
+        {
+            logger.error(err.toString());
+            process.exitCode = exitCodes.FAILED;
+        });
+        return;
+    }
+    generateConfigIfNotExists().
     then(function()
     {
-        var pendingBackupList = buildPendingBackupList(parseFileSystemDir(config.backupSource), parseFileSystemDir(config.backupDestination));
-        if (config.testMode.toUpperCase() === 'Y')
+        if (getCommand() === commands.DAEMON)
         {
-            printTestModeBackupList(pendingBackupList);
+            return runDaemon();
         }
-        else
+        var selectedJobs = getSelectedJobs(loadConfig());
+        if (getCommand() === commands.RESTORE && selectedJobs.length > 1)
         {
-            performBackup(pendingBackupList);
+            throw ('Error: restore needs a single job, pick one with --job');
         }
-    }).
-    then(function()
-    {
-        if (config.sendMailSummary.toUpperCase() === 'Y')
+        var jobResults = [];
+        return promise.each(selectedJobs, function(job)
         {
-            return mailLogSummary();
-        }
+            return new BackupJob(job).execute(argv).
+            then(function(jobResult)
+            {
+                jobResults.push(jobResult);
+            });
+        }).
+        then(function()
+        {
+            printJobSummary(jobResults);
+            setJobsExitCode(jobResults);
+            if (getCommand() === commands.STATUS || getCommand() === commands.DIFF)
+            {
+                writeStatusOutput(jobResults);
+            }
+            return sendNotifications(jobResults);
+        });
     }).
     then(function()
     {
@@ -911,5 +7526,15 @@ function getGmailTransporter(user, pass)
     {
         logger.error('An unexpected error occurred');
         logger.error(err.toString());
+        process.exitCode = exitCodes.FAILED;
     });
-}());
\ No newline at end of file
+}
+
+module.exports = {
+    BackupJob: BackupJob
+};
+// MAIN SCRIPT, only when run from the command line
+if (require.main === module)
+{
+    main();
+}
\ No newline at end of file
@@ -0,0 +1,570 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var BackupJob = require('../backup.js').BackupJob;
+
+var tempDirs = [];
+
+test.after(function()
+{
+    tempDirs.forEach(function(dir)
+    {
+        fs.rmSync(dir,
+        {
+            recursive: true,
+            force: true
+        });
+    });
+});
+
+// a source with a few files and an empty backup destination, all in a fresh temp dir
+function createFixture(files)
+{
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backupjs-test-'));
+    tempDirs.push(dir);
+    var fixture = {
+        dir: dir,
+        src: path.join(dir, 'src'),
+        dest: path.join(dir, 'dest')
+    };
+    fs.mkdirSync(fixture.src);
+    fs.mkdirSync(fixture.dest);
+    writeFiles(fixture.src, files ||
+    {
+        'a.txt': 'alpha',
+        'docs/b.txt': 'beta',
+        'docs/deep/c.txt': 'gamma'
+    });
+    return fixture;
+}
+
+function writeFiles(root, files)
+{
+    Object.keys(files).forEach(function(relativePath)
+    {
+        var filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath),
+        {
+            recursive: true
+        });
+        fs.writeFileSync(filePath, files[relativePath]);
+    });
+}
+
+// changes a file and moves its mtime ahead, so it is newer than its backup in every compare mode
+function changeFile(filePath, content)
+{
+    fs.writeFileSync(filePath, content);
+    var later = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(filePath, later, later);
+}
+
+// runs of the snapshot, archive and repository formats are named by the second they start in
+function waitForNextSecond()
+{
+    return new Promise(function(resolve)
+    {
+        setTimeout(resolve, 1000 - Date.now() % 1000 + 10);
+    });
+}
+
+function readTree(root)
+{
+    var contents = {};
+    (function walk(dir)
+    {
+        fs.readdirSync(dir).forEach(function(name)
+        {
+            var filePath = path.join(dir, name);
+            if (fs.statSync(filePath).isDirectory()) walk(filePath);
+            else contents[path.relative(root, filePath).split(path.sep).join('/')] = fs.readFileSync(filePath, 'utf8');
+        });
+    })(root);
+    return contents;
+}
+
+function assertRoundTrip(destinationFormat, extraOptions)
+{
+    var fixture = createFixture();
+    fs.mkdirSync(path.join(fixture.src, 'empty'));
+    var job = new BackupJob(Object.assign(
+    {
+        name: 'roundtrip',
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        destinationFormat: destinationFormat
+    }, extraOptions));
+    var restoreTarget = path.join(fixture.dir, 'restored');
+    return job.plan().
+    then(function(report)
+    {
+        assert.strictEqual(report.inSync, false);
+        assert.strictEqual(report.summary.new, 3);
+        return job.run();
+    }).
+    then(function(result)
+    {
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.stats.filesCopied, 3);
+        return job.plan();
+    }).
+    then(function(report)
+    {
+        assert.strictEqual(report.inSync, true);
+        changeFile(path.join(fixture.src, 'a.txt'), 'alpha, changed');
+        return job.plan();
+    }).
+    then(function(report)
+    {
+        assert.strictEqual(report.summary.modified, 1);
+        return waitForNextSecond();
+    }).
+    then(function()
+    {
+        return job.run();
+    }).
+    then(function()
+    {
+        return job.restore('**',
+        {
+            restoreTarget: restoreTarget
+        });
+    }).
+    then(function()
+    {
+        assert.deepStrictEqual(readTree(restoreTarget), readTree(fixture.src));
+        assert.deepStrictEqual(fs.readdirSync(path.join(restoreTarget, 'empty')), []);
+    });
+}
+
+test('plan, run and restore a plain file backup', function()
+{
+    return assertRoundTrip('files');
+});
+
+test('plan, run and restore an archive backup', function()
+{
+    return assertRoundTrip('archive');
+});
+
+test('plan, run and restore an encrypted archive backup', function()
+{
+    return assertRoundTrip('archive',
+    {
+        encryptionMode: true,
+        encryptionPassphrase: 'correct horse'
+    });
+});
+
+test('a damaged archive leaves the local files in place', function()
+{
+    var fixture = createFixture();
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        destinationFormat: 'archive',
+        encryptionMode: true,
+        encryptionPassphrase: 'correct horse'
+    });
+    var localFiles = ['a.txt', 'docs/b.txt', 'docs/deep/c.txt'];
+    return job.run().
+    then(function()
+    {
+        var archiveRoot = path.join(fixture.dest, 'archives');
+        var archiveName = fs.readdirSync(archiveRoot).filter(function(name)
+        {
+            return /\.tar\.gz$/.test(name);
+        })[0];
+        var archive = fs.readFileSync(path.join(archiveRoot, archiveName));
+        archive[Math.floor(archive.length / 2)] ^= 1;
+        fs.writeFileSync(path.join(archiveRoot, archiveName), archive);
+        var earlier = new Date(Date.now() - 3600 * 1000);
+        localFiles.forEach(function(relativePath)
+        {
+            fs.writeFileSync(path.join(fixture.src, relativePath), 'local');
+            fs.utimesSync(path.join(fixture.src, relativePath), earlier, earlier);
+        });
+        return job.restore('**');
+    }).
+    then(function()
+    {
+        assert.fail('restoring from a damaged archive should fail');
+    }, function()
+    {
+        localFiles.forEach(function(relativePath)
+        {
+            assert.strictEqual(fs.readFileSync(path.join(fixture.src, relativePath), 'utf8'), 'local');
+        });
+        assert.deepStrictEqual(Object.keys(readTree(fixture.src)).sort(), localFiles);
+    });
+});
+
+test('plan, run and restore a repository backup', function()
+{
+    return assertRoundTrip('repository');
+});
+
+test('a job with several sources backs them up to folders on one disk', function()
+{
+    var fixture = createFixture();
+    var otherSource = path.join(fixture.dir, 'other');
+    writeFiles(otherSource,
+    {
+        'd.txt': 'delta'
+    });
+    var job = new BackupJob(
+    {
+        name: 'several',
+        backupSource: [fixture.src, otherSource],
+        backupDestination: fixture.dest
+    });
+    return job.run().
+    then(function(result)
+    {
+        assert.strictEqual(result.stats.filesCopied, 4);
+        var diskContents = fs.readdirSync(fixture.dest);
+        assert.ok(diskContents.indexOf('src') !== -1);
+        assert.ok(diskContents.indexOf('other') !== -1);
+        assert.ok(diskContents.indexOf('backupjs.signature') !== -1);
+        assert.strictEqual(fs.readdirSync(path.join(fixture.dest, 'src')).indexOf('backupjs.signature'), -1);
+        assert.strictEqual(fs.readFileSync(path.join(fixture.dest, 'other/d.txt'), 'utf8'), 'delta');
+        fs.writeFileSync(path.join(otherSource, 'd.txt'), 'lost');
+        var earlier = new Date(Date.now() - 3600 * 1000);
+        fs.utimesSync(path.join(otherSource, 'd.txt'), earlier, earlier);
+        return job.restore('other/**');
+    }).
+    then(function()
+    {
+        assert.strictEqual(fs.readFileSync(path.join(otherSource, 'd.txt'), 'utf8'), 'delta');
+        assert.deepStrictEqual(Object.keys(readTree(fixture.src)).sort(), ['a.txt', 'docs/b.txt', 'docs/deep/c.txt']);
+    });
+});
+
+test('backup copies stay readable, restore brings back the original mode', function(t)
+{
+    if (process.platform === 'win32')
+    {
+        t.skip('no unix modes');
+        return;
+    }
+    var fixture = createFixture();
+    var writeOnlyFile = path.join(fixture.src, 'docs/b.txt');
+    fs.chmodSync(writeOnlyFile, parseInt('200', 8));
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest
+    });
+    var restoreTarget = path.join(fixture.dir, 'restored');
+    return job.run().
+    then(function()
+    {
+        assert.strictEqual(fs.statSync(path.join(fixture.dest, 'docs/b.txt')).mode & parseInt('777', 8), parseInt('600', 8));
+        return job.restore('**',
+        {
+            restoreTarget: restoreTarget
+        });
+    }).
+    then(function()
+    {
+        assert.strictEqual(fs.statSync(path.join(restoreTarget, 'docs/b.txt')).mode & parseInt('777', 8), parseInt('200', 8));
+    });
+});
+
+test('restore overwrites older local files and keeps newer ones unless forced', function()
+{
+    var fixture = createFixture();
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest
+    });
+    var olderFile = path.join(fixture.src, 'a.txt');
+    var newerFile = path.join(fixture.src, 'docs/b.txt');
+    return job.run().
+    then(function()
+    {
+        fs.writeFileSync(olderFile, 'lost');
+        var earlier = new Date(Date.now() - 3600 * 1000);
+        fs.utimesSync(olderFile, earlier, earlier);
+        changeFile(newerFile, 'local edit');
+        return job.restore('**');
+    }).
+    then(function()
+    {
+        assert.strictEqual(fs.readFileSync(olderFile, 'utf8'), 'alpha');
+        assert.strictEqual(fs.readFileSync(newerFile, 'utf8'), 'local edit');
+        return job.restore('docs/b.txt',
+        {
+            forceOverwrite: true
+        });
+    }).
+    then(function()
+    {
+        assert.strictEqual(fs.readFileSync(newerFile, 'utf8'), 'beta');
+    });
+});
+
+test('a failed restore leaves the local file in place', function()
+{
+    var fixture = createFixture();
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        encryptionMode: true,
+        encryptFileNames: false,
+        encryptionPassphrase: 'correct horse'
+    });
+    var localFile = path.join(fixture.src, 'a.txt');
+    return job.run().
+    then(function()
+    {
+        var backupFile = path.join(fixture.dest, 'a.txt');
+        var damaged = fs.readFileSync(backupFile);
+        damaged[damaged.length - 1] ^= 1; //the authentication tag no longer matches
+        fs.writeFileSync(backupFile, damaged);
+        fs.writeFileSync(localFile, 'local');
+        var earlier = new Date(Date.now() - 3600 * 1000);
+        fs.utimesSync(localFile, earlier, earlier);
+        return job.restore('a.txt');
+    }).
+    then(function()
+    {
+        assert.fail('restoring a damaged file should fail');
+    }, function()
+    {
+        assert.strictEqual(fs.readFileSync(localFile, 'utf8'), 'local');
+        assert.deepStrictEqual(fs.readdirSync(fixture.src).sort(), ['a.txt', 'docs']);
+    });
+});
+
+// the journal an interrupted run leaves on the disk, with the files it still had to copy
+function writeRunJournal(fixture, relativePaths)
+{
+    var lines = [JSON.stringify(
+    {
+        journalVersion: 1,
+        started: Date.now(),
+        encrypted: false
+    })];
+    relativePaths.forEach(function(relativePath)
+    {
+        lines.push(JSON.stringify(
+        {
+            path: path.join(fixture.src, relativePath),
+            relativePath: relativePath,
+            lastModified: Date.now(),
+            size: 5,
+            reason: 'Destination file not found'
+        }));
+    });
+    fs.writeFileSync(path.join(fixture.dest, 'backupjs.journal'), lines.join('\n') + '\n');
+}
+
+test('a resumed run with failed files doesn\'t count as successful', function()
+{
+    var fixture = createFixture();
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest
+    });
+    var statePath = path.join(fixture.dest, 'backupjs.state');
+    var lastRun;
+    return job.run().
+    then(function()
+    {
+        lastRun = JSON.parse(fs.readFileSync(statePath, 'utf8')).lastSuccessfulRun;
+        writeFiles(fixture.src,
+        {
+            'new.txt': 'new'
+        });
+        writeRunJournal(fixture, ['new.txt', 'gone.txt']);
+        return job.run(
+        {
+            resume: true
+        });
+    }).
+    then(function(result)
+    {
+        assert.strictEqual(result.stats.filesCopied, 1);
+        assert.strictEqual(result.failures.length, 1);
+        assert.strictEqual(result.failures[0].relativePath, 'gone.txt');
+        assert.strictEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).lastSuccessfulRun, lastRun);
+        assert.strictEqual(fs.readFileSync(path.join(fixture.dest, 'new.txt'), 'utf8'), 'new');
+    });
+});
+
+test('mirror mode keeps the backup of files excluded after they were backed up', function()
+{
+    var fixture = createFixture();
+    var options = {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        mirrorMode: true,
+        mirrorAction: 'delete'
+    };
+    return new BackupJob(options).run().
+    then(function()
+    {
+        fs.unlinkSync(path.join(fixture.src, 'docs/b.txt'));
+        options.filterRules = ['a.txt', 'deep/'];
+        return new BackupJob(options).run();
+    }).
+    then(function(result)
+    {
+        assert.strictEqual(result.stats.filesRemoved, 1);
+        assert.strictEqual(fs.existsSync(path.join(fixture.dest, 'docs/b.txt')), false);
+        assert.strictEqual(fs.readFileSync(path.join(fixture.dest, 'a.txt'), 'utf8'), 'alpha');
+        assert.strictEqual(fs.readFileSync(path.join(fixture.dest, 'docs/deep/c.txt'), 'utf8'), 'gamma');
+        return new BackupJob(options).plan();
+    }).
+    then(function(report)
+    {
+        assert.deepStrictEqual(report.files.map(function(file)
+        {
+            return file.path + ':' + file.status;
+        }), ['a.txt:backup-only', 'docs/deep/c.txt:backup-only']);
+    });
+});
+
+test('emits file, progress, skip and done events', function()
+{
+    var fixture = createFixture(
+    {
+        'keep.txt': 'keep',
+        'skip.tmp': 'skip'
+    });
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        filterRules: ['*.tmp']
+    });
+    var copiedFiles = [];
+    var skippedFiles = [];
+    var progressEvents = 0;
+    var doneResult;
+    job.on('file', function(file)
+    {
+        copiedFiles.push(file.relativePath);
+    });
+    job.on('skip', function(file)
+    {
+        skippedFiles.push(file.relativePath);
+    });
+    job.on('progress', function()
+    {
+        progressEvents++;
+    });
+    job.on('done', function(result)
+    {
+        doneResult = result;
+    });
+    return job.run().
+    then(function(result)
+    {
+        assert.deepStrictEqual(copiedFiles, ['keep.txt']);
+        assert.deepStrictEqual(skippedFiles, ['skip.tmp']);
+        assert.ok(progressEvents > 0);
+        assert.strictEqual(doneResult, result);
+    });
+});
+
+test('skips names that are too long once encrypted', function()
+{
+    var longName = new Array(201).join('n') + '.txt';
+    var files = {
+        'short.txt': 'short'
+    };
+    files[longName] = 'long';
+    var fixture = createFixture(files);
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest,
+        encryptionMode: true,
+        encryptFileNames: true,
+        encryptionPassphrase: 'correct horse'
+    });
+    var skippedFiles = [];
+    job.on('skip', function(file)
+    {
+        skippedFiles.push(file.relativePath);
+    });
+    var restoreTarget = path.join(fixture.dir, 'restored');
+    return job.run().
+    then(function(result)
+    {
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.stats.filesCopied, 1);
+        assert.deepStrictEqual(skippedFiles, [longName]);
+        return job.restore('**',
+        {
+            restoreTarget: restoreTarget
+        });
+    }).
+    then(function()
+    {
+        assert.deepStrictEqual(readTree(restoreTarget),
+        {
+            'short.txt': 'short'
+        });
+    });
+});
+
+test('emits error for unreadable files and carries on', function(t)
+{
+    if (process.getuid !== undefined && process.getuid() === 0)
+    {
+        t.skip('root can read every file');
+        return;
+    }
+    var fixture = createFixture();
+    fs.chmodSync(path.join(fixture.src, 'docs/b.txt'), 0);
+    var job = new BackupJob(
+    {
+        backupSource: fixture.src,
+        backupDestination: fixture.dest
+    });
+    var failedFiles = [];
+    job.on('error', function(failure)
+    {
+        failedFiles.push(failure);
+    });
+    return job.run().
+    then(function(result)
+    {
+        assert.strictEqual(failedFiles.length, 1);
+        assert.strictEqual(result.failures.length, 1);
+        assert.strictEqual(result.stats.filesCopied, 2);
+    });
+});
+
+test('jobs in one process run one at a time', function()
+{
+    var first = createFixture();
+    var second = createFixture();
+    var running = new BackupJob(
+    {
+        backupSource: first.src,
+        backupDestination: first.dest
+    }).run();
+    return new BackupJob(
+    {
+        backupSource: second.src,
+        backupDestination: second.dest
+    }).run().
+    then(function()
+    {
+        assert.fail('the second job should be rejected');
+    }, function(err)
+    {
+        assert.match(String(err), /still running/);
+        return running;
+    });
+});